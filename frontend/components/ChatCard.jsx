@@ -3,19 +3,38 @@
 import { useState, useRef, useEffect, useCallback } from "react"
 import { useNavigate, useLocation } from "react-router-dom"
 import { useStreamManager } from "../hooks/useStreamManager"
+import WeatherParts from "./WeatherParts"
 import "./ChatCard.css"
 
 const API_BASE = "https://sanch-ai.vercel.app";
+const SEVERITY_ORDER = ["minor", "moderate", "severe", "extreme"];
+const GREETING = { id: 'init', type: 'bot', text: `Hi! I'm your weather assistant. Ask me about any city!`, order: 0 };
 
-function ChatCard({ conversationId, onFirstMessage }) {
+// Message map for the visible branch as sent by the server (GET conversation, "branch" event)
+function buildMessageMap(messages = []) {
+  const map = new Map([['init', GREETING]]);
+  messages.forEach((msg, idx) => {
+    map.set(msg.id, {
+      id: msg.id,
+      type: msg.type,
+      text: msg.text,
+      parts: msg.parts,
+      status: msg.status,
+      siblingIds: msg.siblingIds,
+      siblingIndex: msg.siblingIndex,
+      order: idx + 1,
+      streaming: msg.streaming,
+      timestamp: msg.timestamp || Date.now() + idx
+    });
+  });
+  return map;
+}
+
+function ChatCard({ conversationId, onFirstMessage, units }) {
   const navigate = useNavigate();
   const location = useLocation();
   // Use a message map for robust streaming/refresh
-  const [messageMap, setMessageMap] = useState(() => {
-    const map = new Map();
-    map.set('init', { id: 'init', type: 'bot', text: `Hi! I'm your weather assistant. Ask me about any city!`, order: 0 });
-    return map;
-  });
+  const [messageMap, setMessageMap] = useState(() => buildMessageMap());
   // For rendering
   const getMessagesArray = () => {
     const messages = Array.from(messageMap.values()).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
@@ -24,7 +43,17 @@ function ChatCard({ conversationId, onFirstMessage }) {
   };
   const [input, setInput] = useState("")
   const [isTyping, setIsTyping] = useState(false)
+  // True from send until the reply is done or stopped - shows the Stop button
+  const [isGenerating, setIsGenerating] = useState(false)
+  // Label of the tool the agent is running right now ("Fetching weather data...")
+  const [toolActivity, setToolActivity] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
+  // Active weather alerts for the conversation's last location ({ location, alerts, source })
+  const [alertBanner, setAlertBanner] = useState(null)
+  // Conversation title, generated by the server after the first exchange
+  const [title, setTitle] = useState(null)
+  // User message being edited ({ id, text }) - saving sends it as a new branch
+  const [editing, setEditing] = useState(null)
   const messagesEndRef = useRef(null)
   const pendingMessageSentRef = useRef(false)
   const sendMessageRef = useRef(null)
@@ -39,10 +68,12 @@ function ChatCard({ conversationId, onFirstMessage }) {
 
   // Load conversation when conversationId changes
   useEffect(() => {
+    setAlertBanner(null);
+    setTitle(null);
     if (!conversationId) {
       pendingMessageSentRef.current = false;
       setIsLoading(false);
-      setMessageMap(new Map([['init', { id: 'init', type: 'bot', text: `Hi! I'm your weather assistant. Ask me about any city!`, order: 0 }]]));
+      setMessageMap(buildMessageMap());
       return;
     }
 
@@ -52,24 +83,11 @@ function ChatCard({ conversationId, onFirstMessage }) {
         const res = await fetch(`${API_BASE}/api/conversations/${conversationId}`);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
-        const map = new Map();
-        map.set('init', { id: 'init', type: 'bot', text: `Hi! I'm your weather assistant. Ask me about any city!`, order: 0 });
-        if (data.messages?.length > 0) {
-          data.messages.forEach((msg, idx) => {
-            map.set(msg.id, {
-              id: msg.id,
-              type: msg.type,
-              text: msg.text,
-              order: idx + 1,
-              streaming: msg.streaming,
-              timestamp: msg.timestamp || Date.now() + idx
-            });
-          });
-        }
-        setMessageMap(map);
+        setMessageMap(buildMessageMap(data.messages));
+        setTitle(data.title);
       } catch (error) {
         console.error("Error loading conversation:", error);
-        setMessageMap(new Map([['init', { id: 'init', type: 'bot', text: `Hi! I'm your weather assistant. Ask me about any city!`, order: 0 }]]));
+        setMessageMap(buildMessageMap());
       } finally {
         setIsLoading(false);
       }
@@ -80,6 +98,43 @@ function ChatCard({ conversationId, onFirstMessage }) {
   // Handle SSE messages
   const handleSSEMessage = useCallback((data) => {
     console.log('📨 SSE received:', data.type, data);
+    if (data.type === "alert") {
+      // Merge with alerts already shown for the same place, most severe first
+      setAlertBanner((prev) => {
+        const sameLocation = prev && prev.location.label === data.location.label;
+        const byId = new Map((sameLocation ? prev.alerts : []).map((a) => [a.id, a]));
+        data.alerts.forEach((a) => byId.set(a.id, a));
+        const alerts = Array.from(byId.values()).sort(
+          (a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity)
+        );
+        return { location: data.location, alerts, source: data.source };
+      });
+      return;
+    }
+    if (data.type === "title") {
+      setTitle(data.title);
+      return;
+    }
+    if (data.type === "tool_start") {
+      setIsTyping(true);
+      setToolActivity(data.label);
+      return;
+    }
+    if (data.type === "tool_end") {
+      setToolActivity(null);
+      return;
+    }
+    if (data.type === "token" || data.type === "done" || data.type === "error" || data.type === "cancelled") {
+      setToolActivity(null);
+    }
+    if (data.type === "done" || data.type === "error" || data.type === "cancelled") {
+      setIsGenerating(false);
+    }
+    if (data.type === "branch") {
+      // Regenerate, edit or switch - the visible branch changed
+      setMessageMap(buildMessageMap(data.messages));
+      return;
+    }
     setMessageMap((prevMap) => {
       const map = new Map(prevMap);
       if (data.type === "sync") {
@@ -90,6 +145,10 @@ function ChatCard({ conversationId, onFirstMessage }) {
             id: msg.id,
             type: msg.type,
             text: msg.text,
+            parts: msg.parts || map.get(msg.id)?.parts,
+            status: msg.status,
+            siblingIds: msg.siblingIds,
+            siblingIndex: msg.siblingIndex,
             order: idx + 1,
             streaming: msg.streaming,
             timestamp: msg.timestamp || Date.now() + idx
@@ -139,6 +198,25 @@ function ChatCard({ conversationId, onFirstMessage }) {
       } else if (data.type === "status") {
         if (data.content === "processing" || data.content === "generating") {
           setIsTyping(true);
+          setIsGenerating(true);
+        }
+        return map;
+      } else if (data.type === "part") {
+        // Tool payload for the upcoming bot message - show it as a card before any text
+        setIsTyping(false);
+        const m = map.get(data.messageId);
+        if (m) {
+          map.set(data.messageId, { ...m, parts: [...(m.parts || []), data.part] });
+        } else {
+          const maxOrder = Math.max(0, ...Array.from(map.values()).map(m => m.order ?? 0));
+          map.set(data.messageId, {
+            id: data.messageId,
+            type: "bot",
+            text: "",
+            parts: [data.part],
+            order: maxOrder + 1,
+            streaming: true
+          });
         }
         return map;
       } else if (data.type === "token") {
@@ -160,8 +238,24 @@ function ChatCard({ conversationId, onFirstMessage }) {
         return map;
       } else if (data.type === "done") {
         setIsTyping(false);
-        // Mark streaming message as done
-        // (optional: could set streaming: false)
+        // Mark streaming message as done so its actions show
+        const m = map.get(data.messageId);
+        if (m) map.set(data.messageId, { ...m, streaming: false });
+        return map;
+      } else if (data.type === "cancelled") {
+        setIsTyping(false);
+        // Keep what streamed before the stop
+        const m = map.get(data.messageId);
+        const maxOrder = Math.max(0, ...Array.from(map.values()).map(m => m.order ?? 0));
+        map.set(data.messageId, {
+          id: data.messageId,
+          type: "bot",
+          order: maxOrder + 1,
+          ...m,
+          text: data.text,
+          status: "cancelled",
+          streaming: false
+        });
         return map;
       } else if (data.type === "connected") {
         console.log('✅ SSE Connected');
@@ -228,6 +322,7 @@ function ChatCard({ conversationId, onFirstMessage }) {
       });
     
     setIsTyping(true);
+    setIsGenerating(true);
 
     try {
       const res = await fetch(`${API_BASE}/api/chat/${conversationId}`, {
@@ -236,7 +331,7 @@ function ChatCard({ conversationId, onFirstMessage }) {
           "Content-Type": "application/json",
           "Accept": "application/json"
         },
-        body: JSON.stringify({ message: messageText }),
+        body: JSON.stringify({ message: messageText, units }),
       });
 
       if (!res.ok) {
@@ -252,6 +347,7 @@ function ChatCard({ conversationId, onFirstMessage }) {
     } catch (err) {
       console.error("❌ Send error:", err);
       setIsTyping(false);
+      setIsGenerating(false);
       // Remove optimistic message and show error
       setMessageMap((prevMap) => {
         const map = new Map(prevMap);
@@ -268,7 +364,7 @@ function ChatCard({ conversationId, onFirstMessage }) {
         return map;
       });
     }
-  }, [conversationId]);
+  }, [conversationId, units]);
 
   // Store sendMessage in ref for pending message handler
   useEffect(() => {
@@ -301,6 +397,69 @@ function ChatCard({ conversationId, onFirstMessage }) {
     await sendMessage(userText);
   }, [input, conversationId, onFirstMessage, sendMessage]);
 
+  const handleStop = useCallback(async () => {
+    if (!conversationId) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/chat/${conversationId}/cancel`, { method: "POST" });
+      // 404: the reply finished in the meantime
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+      if (res.status === 404) {
+        setIsTyping(false);
+        setIsGenerating(false);
+      }
+    } catch (err) {
+      console.error("❌ Stop error:", err);
+    }
+  }, [conversationId]);
+
+  // Branch operations return the new visible branch; "branch" SSE events keep other tabs in step
+  const branchRequest = useCallback(async (path, options, startsReply) => {
+    if (startsReply) {
+      setIsTyping(true);
+      setIsGenerating(true);
+    }
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: { "Content-Type": "application/json" },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      if (data.messages) setMessageMap(buildMessageMap(data.messages));
+    } catch (err) {
+      console.error("❌ Branch error:", err);
+      if (startsReply) {
+        setIsTyping(false);
+        setIsGenerating(false);
+      }
+      alert(err.message);
+    }
+  }, []);
+
+  const handleRegenerate = useCallback((messageId) => {
+    branchRequest(`/api/chat/${conversationId}/regenerate`, {
+      method: "POST",
+      body: JSON.stringify({ messageId }),
+    }, true);
+  }, [conversationId, branchRequest]);
+
+  const handleSaveEdit = useCallback(() => {
+    if (!editing?.text.trim()) return;
+    const { id, text } = editing;
+    setEditing(null);
+    branchRequest(`/api/chat/${conversationId}/messages/${id}/edit`, {
+      method: "POST",
+      body: JSON.stringify({ message: text }),
+    }, true);
+  }, [conversationId, editing, branchRequest]);
+
+  const handleSwitchBranch = useCallback((messageId) => {
+    branchRequest(`/api/conversations/${conversationId}/branch`, {
+      method: "PUT",
+      body: JSON.stringify({ messageId }),
+    }, false);
+  }, [conversationId, branchRequest]);
+
   const handleKeyPress = useCallback((e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault()
@@ -311,26 +470,98 @@ function ChatCard({ conversationId, onFirstMessage }) {
   return (
     <div className="chat-card">
       <div className="chat-header">
-        <h3 className="chat-title">Weather Chat</h3>
+        <h3 className="chat-title">{title && title !== "New Chat" ? title : "Weather Chat"}</h3>
         <p className="chat-subtitle">Ask me anything about any city</p>
       </div>
 
+      {alertBanner?.alerts.length > 0 && (
+        <div className={`alert-banner severity-${alertBanner.alerts[0].severity}`} role="alert">
+          <div className="alert-banner-body">
+            <strong className="alert-banner-title">
+              ⚠️ {alertBanner.alerts[0].event} · {alertBanner.location.label}
+            </strong>
+            <p className="alert-banner-text">
+              {alertBanner.source === "derived" ? "Forecast-based warning. " : ""}
+              {alertBanner.alerts[0].description}
+              {alertBanner.alerts.length > 1 && ` (+${alertBanner.alerts.length - 1} more)`}
+            </p>
+          </div>
+          <button className="alert-dismiss" onClick={() => setAlertBanner(null)} aria-label="Dismiss alert">
+            ×
+          </button>
+        </div>
+      )}
+
       <div className="chat-messages">
         {isLoading ? (
           <div className="message bot">
             <div className="message-content">Loading conversation...</div>
           </div>
         ) : (
-          getMessagesArray().map((msg) => (
-            <div key={msg.id} className={`message ${msg.type}`}>
-              <div className="message-content">{msg.text}</div>
-            </div>
-          ))
+          getMessagesArray().map((msg) => {
+            const canAct = conversationId && msg.id !== 'init' && !msg.isOptimistic && !msg.isError && !msg.streaming && !isGenerating;
+            const alternatives = msg.siblingIds?.length > 1 ? msg.siblingIds : null;
+            return (
+              <div key={msg.id} className={`message ${msg.type}`}>
+                {editing?.id === msg.id ? (
+                  <div className="message-content message-edit">
+                    <textarea
+                      value={editing.text}
+                      onChange={(e) => setEditing({ id: msg.id, text: e.target.value })}
+                      className="message-edit-input"
+                      rows={2}
+                      autoFocus
+                    />
+                    <div className="message-edit-actions">
+                      <button onClick={() => setEditing(null)}>Cancel</button>
+                      <button onClick={handleSaveEdit} disabled={!editing.text.trim()}>Send</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="message-content">
+                    <WeatherParts parts={msg.parts} />
+                    {msg.text}
+                    {msg.status === "cancelled" && <span className="message-status">⏹ Stopped</span>}
+                  </div>
+                )}
+                {(alternatives || canAct) && editing?.id !== msg.id && (
+                  <div className="message-actions">
+                    {alternatives && (
+                      <span className="branch-switcher">
+                        <button
+                          onClick={() => handleSwitchBranch(alternatives[msg.siblingIndex - 1])}
+                          disabled={!canAct || msg.siblingIndex === 0}
+                          aria-label="Previous version"
+                        >
+                          ‹
+                        </button>
+                        {msg.siblingIndex + 1}/{alternatives.length}
+                        <button
+                          onClick={() => handleSwitchBranch(alternatives[msg.siblingIndex + 1])}
+                          disabled={!canAct || msg.siblingIndex === alternatives.length - 1}
+                          aria-label="Next version"
+                        >
+                          ›
+                        </button>
+                      </span>
+                    )}
+                    {canAct && msg.type === "user" && (
+                      <button onClick={() => setEditing({ id: msg.id, text: msg.text })}>✏️ Edit</button>
+                    )}
+                    {canAct && msg.type === "bot" && (
+                      <button onClick={() => handleRegenerate(msg.id)}>↻ Regenerate</button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })
         )}
 
         {isTyping && (
           <div className="message bot">
             <div className="message-content typing">
+              {toolActivity && <span className="typing-label">{toolActivity}</span>}
               <span className="typing-dot"></span>
               <span className="typing-dot"></span>
               <span className="typing-dot"></span>
@@ -351,11 +582,19 @@ function ChatCard({ conversationId, onFirstMessage }) {
           className="chat-input"
           disabled={isTyping}
         />
-        <button onClick={handleSend} className="send-btn" disabled={isTyping || !input.trim()}>
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z" />
-          </svg>
-        </button>
+        {isGenerating ? (
+          <button onClick={handleStop} className="send-btn stop-btn" aria-label="Stop generating">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <rect x="6" y="6" width="12" height="12" rx="2" />
+            </svg>
+          </button>
+        ) : (
+          <button onClick={handleSend} className="send-btn" disabled={isTyping || !input.trim()}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z" />
+            </svg>
+          </button>
+        )}
       </div>
     </div>
   )
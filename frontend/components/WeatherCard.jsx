@@ -1,28 +1,20 @@
 "use client"
-import { useState, useEffect } from "react"
 import "./WeatherCard.css"
 
-function WeatherCard({ city, data, onCityChange, cities, selectedCity }) {
-  const [unit, setUnit] = useState(() => {
-    try {
-      return localStorage.getItem("tempUnit") || "C"
-    } catch (e) {
-      return "C"
-    }
-  })
+const ICON_URL = "https://openweathermap.org/img/wn"
 
-  useEffect(() => {
-    try {
-      localStorage.setItem("tempUnit", unit)
-    } catch (e) {}
-  }, [unit])
+const weekday = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", { weekday: "short", timeZone: "UTC" })
+
+// Values arrive converted by the server; data.units carries their labels
+function WeatherCard({ city, data, forecast, onCityChange, cities, selectedCity, unit, onUnitChange }) {
+  const labels = data?.units || { temperature: `°${unit}`, speed: "m/s" }
 
   const displayTemp = () => {
     if (data == null || data.temp == null) return "--"
-    const c = Number(data.temp)
-    if (Number.isNaN(c)) return "--"
-    if (unit === "C") return Math.round(c)
-    return Math.round((c * 9) / 5 + 32)
+    const t = Number(data.temp)
+    if (Number.isNaN(t)) return "--"
+    return Math.round(t)
   }
  
 
@@ -32,18 +24,18 @@ function WeatherCard({ city, data, onCityChange, cities, selectedCity }) {
         <h2 className="weather-city">{city}</h2>
 
         <div className="weather-temp-row">
-          <p className="weather-temp">{displayTemp()}°{unit}</p>
+          <p className="weather-temp">{displayTemp()}{labels.temperature}</p>
 
           <div className="unit-toggle" role="group" aria-label="Temperature unit">            <button
               className={`unit-btn ${unit === "C" ? "active" : ""}`}
-              onClick={() => setUnit("C")}
+              onClick={() => onUnitChange("C")}
               aria-pressed={unit === "C"}
             >
               °C
             </button>
             <button
               className={`unit-btn ${unit === "F" ? "active" : ""}`}
-              onClick={() => setUnit("F")}
+              onClick={() => onUnitChange("F")}
               aria-pressed={unit === "F"}
             >
               °F
@@ -56,6 +48,13 @@ function WeatherCard({ city, data, onCityChange, cities, selectedCity }) {
 
       <p className="weather-condition">{data.condition}</p>
 
+      {data.error && <p className="weather-notice">{data.error}</p>}
+      {data.cache?.stale && (
+        <p className="weather-notice">
+          Weather service unavailable - showing data from {Math.round(data.cache.ageSeconds / 60)} min ago
+        </p>
+      )}
+
       <div className="weather-details">
         <div className="detail-item">
           <span className="detail-label">Humidity</span>
@@ -63,10 +62,31 @@ function WeatherCard({ city, data, onCityChange, cities, selectedCity }) {
         </div>
         <div className="detail-item">
           <span className="detail-label">Wind</span>
-          <span className="detail-value">{data.wind} mph</span>
+          <span className="detail-value">{data.wind} {labels.speed}</span>
         </div>
       </div>
 
+      {forecast?.days?.length > 0 && (
+        <div className="forecast-strip" aria-label="5-day forecast">
+          {forecast.days.map((d) => (
+            <div key={d.date} className="forecast-day" title={`${d.date}: ${d.condition.description}`}>
+              <span className="forecast-weekday">{weekday(d.date)}</span>
+              {d.condition.icon && (
+                <img
+                  className="forecast-icon"
+                  src={`${ICON_URL}/${d.condition.icon}.png`}
+                  alt={d.condition.description}
+                />
+              )}
+              <span className="forecast-temps">
+                <strong>{Math.round(d.tempMax)}°</strong> {Math.round(d.tempMin)}°
+              </span>
+              <span className="forecast-pop">{d.pop == null ? "-" : `${Math.round(d.pop * 100)}%`}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="city-buttons">
         {cities.map((cityName) => (
           <button
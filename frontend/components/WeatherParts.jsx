@@ -0,0 +1,103 @@
+"use client"
+import "./WeatherParts.css"
+
+// Cards for the typed tool payloads on bot messages (see lib/message-parts.js)
+const ICON_URL = "https://openweathermap.org/img/wn"
+
+const weekday = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", { weekday: "short", timeZone: "UTC" })
+
+function ConditionIcon({ condition, size = "2x" }) {
+  if (!condition?.icon) return null
+  return (
+    <img
+      className="part-icon"
+      src={`${ICON_URL}/${condition.icon}@${size}.png`}
+      alt={condition.description}
+      title={condition.description}
+    />
+  )
+}
+
+function CurrentPart({ data }) {
+  const u = data.units
+  return (
+    <div className="weather-part">
+      <div className="part-title">{data.location.label}</div>
+      <div className="part-current">
+        <ConditionIcon condition={data.condition} />
+        <span className="part-temp">{Math.round(data.temp)}{u.temperature}</span>
+        <span className="part-condition">{data.condition.description}</span>
+      </div>
+      <div className="part-details">
+        <span>Feels like {Math.round(data.feelsLike)}{u.temperature}</span>
+        <span>Humidity {data.humidity}%</span>
+        <span>Wind {data.windSpeed} {u.speed}</span>
+      </div>
+    </div>
+  )
+}
+
+function DailyPart({ data, title }) {
+  const u = data.units
+  return (
+    <div className="weather-part">
+      <div className="part-title">{title} · {data.location.label}</div>
+      <div className="part-strip">
+        {data.days.map((d) => (
+          <div key={d.date} className="part-slot" title={d.date}>
+            <span className="part-slot-label">{weekday(d.date)}</span>
+            <ConditionIcon condition={d.condition} size="1x" />
+            <span className="part-slot-temp">
+              {Math.round(d.tempMax)}° / {Math.round(d.tempMin)}°
+            </span>
+            {d.rain > 0 && <span className="part-slot-extra">{d.rain} {u.precipitation}</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function HourlyPart({ data }) {
+  return (
+    <div className="weather-part">
+      <div className="part-title">Next hours · {data.location.label}</div>
+      <div className="part-strip">
+        {data.slots.map((s) => (
+          <div key={s.time} className="part-slot" title={s.localTime}>
+            <span className="part-slot-label">{s.localTime.slice(11)}</span>
+            <ConditionIcon condition={s.condition} size="1x" />
+            <span className="part-slot-temp">{Math.round(s.temp)}{data.units.temperature}</span>
+            {s.pop != null && <span className="part-slot-extra">{Math.round(s.pop * 100)}%</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function WeatherParts({ parts }) {
+  if (!parts?.length) return null
+
+  return (
+    <div className="weather-parts">
+      {parts.map((part, idx) => {
+        switch (part.type) {
+          case "weather_current":
+            return <CurrentPart key={idx} data={part.data} />
+          case "weather_forecast":
+            return <DailyPart key={idx} data={part.data} title="Forecast" />
+          case "weather_history":
+            return <DailyPart key={idx} data={part.data} title="Observed" />
+          case "weather_hourly":
+            return <HourlyPart key={idx} data={part.data} />
+          default:
+            return null
+        }
+      })}
+    </div>
+  )
+}
+
+export default WeatherParts
@@ -1,25 +1,55 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import { Routes, Route, useNavigate, useParams } from "react-router-dom"
 import "./App.css"
 import Header from "../components/Header"
 import WeatherCard from "../components/WeatherCard"
 import ChatCard from "../components/ChatCard"
 
+const cities = ["Pune", "Mumbai", "Nagpur", "Delhi"];
+
+// Server error codes (see lib/providers/base.js) -> what the weather card says
+const WEATHER_ERRORS = {
+  not_found: "Couldn't find that place.",
+  quota_exceeded: "Weather service is busy (request limit reached). Try again in a few minutes.",
+  upstream_down: "Weather service is temporarily unavailable. Try again shortly.",
+  misconfigured: "Weather service isn't configured on the server.",
+};
+
 function ChatInterface() {
   const navigate = useNavigate();
   const { conversationId } = useParams();
-  const cities = ["Pune", "Mumbai", "Nagpur", "Delhi"];
   const [selectedCity, setSelectedCity] = useState("Pune");
   const [weatherData, setWeatherData] = useState({});
+  // Daily forecast for the selected city ({ days, units }), null while loading or unavailable
+  const [forecast, setForecast] = useState(null);
+  // Current conditions for every preset city, fetched in one compare request
+  const [presetWeather, setPresetWeather] = useState(null);
   const [loading, setLoading] = useState(false);
   const [chatOnlyMode, setChatOnlyMode] = useState(false);
+  // °C / °F toggle; the server converts everything, so it maps to a unit system
+  const [unit, setUnit] = useState(() => {
+    try {
+      return localStorage.getItem("tempUnit") || "C"
+    } catch {
+      return "C"
+    }
+  });
+  const units = unit === "F" ? "imperial" : "metric";
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("tempUnit", unit)
+    } catch {
+      // Storage unavailable (private mode) - keep the in-memory choice
+    }
+  }, [unit]);
 
-  const fetchWeather = async (city) => {
+  const fetchWeather = useCallback(async (city) => {
     setLoading(true);
     try {
-      const res = await fetch(`https://sanch-ai.vercel.app/api/weather?city=${city}`, {
+      const res = await fetch(`https://sanch-ai.vercel.app/api/weather?city=${city}&units=${units}`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -29,7 +59,10 @@ function ChatInterface() {
       if (!res.ok) {
         const errorData = await res.json().catch(() => ({ error: 'Failed to fetch weather' }));
         console.error("Weather API Error:", errorData);
-        setWeatherData({ error: errorData.error || 'Failed to fetch weather' });
+        setWeatherData({
+          error: WEATHER_ERRORS[errorData.code] || errorData.error || 'Failed to fetch weather',
+          code: errorData.code
+        });
         return;
       }
       
@@ -41,11 +74,55 @@ function ChatInterface() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [units]);
 
   useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const res = await fetch(`https://sanch-ai.vercel.app/api/weather/compare?cities=${cities.join(",")}&current=true&units=${units}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const data = await res.json();
+        const byCity = {};
+        data.locations.forEach((row) => {
+          if (row.current) byCity[row.query] = row.current;
+        });
+        setPresetWeather(byCity);
+      } catch (error) {
+        console.error("Preset weather error:", error);
+        setPresetWeather({});
+      }
+    };
+    fetchPresets();
+  }, [units]);
+
+  useEffect(() => {
+    // Wait for the preset request; only fetch cities it could not cover
+    if (presetWeather === null || presetWeather[selectedCity]) return;
     fetchWeather(selectedCity);
-  }, [selectedCity]);
+  }, [selectedCity, presetWeather, fetchWeather]);
+
+  useEffect(() => {
+    let ignore = false;
+    setForecast(null);
+
+    const fetchForecast = async () => {
+      try {
+        const res = await fetch(`https://sanch-ai.vercel.app/api/weather/forecast?city=${selectedCity}&units=${units}&days=5`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (!ignore) setForecast(data);
+      } catch (error) {
+        console.error("Forecast API Error:", error);
+      }
+    };
+    fetchForecast();
+
+    // Drop responses for a city or unit the user already switched away from
+    return () => { ignore = true; };
+  }, [selectedCity, units]);
+
+  const cardData = presetWeather?.[selectedCity] || weatherData;
 
   const handleNewChat = async () => {
     try {
@@ -78,7 +155,8 @@ function ChatInterface() {
           method: "POST",
           headers: {
             "Content-Type": "application/json"
-          }
+          },
+          body: JSON.stringify({ units })
         });
         
         if (!res.ok) {
@@ -122,20 +200,24 @@ function ChatInterface() {
           {!chatOnlyMode && (
             <WeatherCard
               city={selectedCity}
-              data={weatherData}
+              data={cardData}
+              forecast={forecast}
               onCityChange={setSelectedCity}
               cities={cities}
               selectedCity={selectedCity}
-              loading={loading}
+              unit={unit}
+              onUnitChange={setUnit}
+              loading={loading || presetWeather === null}
             />
           )}
 
           <ChatCard 
             conversationId={conversationId}
             city={selectedCity} 
-            weatherData={weatherData}
+            weatherData={cardData}
             fullWidth={chatOnlyMode}
             onFirstMessage={handleFirstMessage}
+            units={units}
           />
         </div>
       </main>
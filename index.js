@@ -8,16 +8,55 @@ import mongoose from "mongoose";
 import { createClient } from "redis";
 import { StreamManager } from "./lib/stream-manager.js";
 import { SSEConnectionManager } from "./lib/sse-handler.js";
+import { AlertMonitor } from "./lib/alert-monitor.js";
+import { CachedWeatherProvider } from "./lib/weather-cache.js";
+import { ModelRegistry, validateModelParams } from "./lib/models.js";
+import { runToolLoop, DEFAULT_MAX_STEPS, DEFAULT_TOOL_TIMEOUT_MS } from "./lib/agent.js";
+import { buildContext, foldHistory, DEFAULT_HISTORY_BUDGET } from "./lib/context.js";
+import { PriceTable, emptyUsage, addUsage } from "./lib/usage.js";
+import { generateTitle, DEFAULT_TITLE } from "./lib/titles.js";
+import { ProfileStore, DEFAULT_PROFILE_ID, buildSystemPrompt, profileTools } from "./lib/profiles.js";
+import { linkMessages, activePath, latestLeaf, branchView, historyFromPath } from "./lib/branches.js";
+import { UpstreamGuard } from "./lib/upstream-guard.js";
+import { createWeatherProvider, WeatherProviderError } from "./lib/providers/index.js";
+import {
+  formatCurrent,
+  formatDailyForecast,
+  formatHourlyForecast,
+  formatCandidates,
+  formatAirQuality,
+  formatAlerts,
+  formatComparison,
+  formatHistory,
+  formatRecommendations,
+  formatTripPlan,
+  formatWeatherError,
+} from "./lib/weather-format.js";
+import { getHistoricalWeather, MAX_HISTORY_DAYS } from "./lib/history.js";
+import { summarizeAirQuality } from "./lib/air-quality.js";
+import { getActiveAlerts } from "./lib/alerts.js";
+import { getRecommendations, RecommendationRules } from "./lib/recommendations.js";
+import {
+  compareWeather,
+  MIN_COMPARE_LOCATIONS,
+  MAX_COMPARE_LOCATIONS,
+} from "./lib/compare.js";
+import { planTrip, validateItinerary, MAX_TRIP_LEGS } from "./lib/trip-planner.js";
+import { aggregateDaily, hourlyForecast, validateDateRange } from "./lib/forecast.js";
+import { resolveLocation, formatLocationLabel } from "./lib/geocoding.js";
+import {
+  DATA_TYPES,
+  conversationContext,
+  resolveWithContext,
+  queryLabel,
+  nextContext,
+  contextView,
+} from "./lib/conversation-context.js";
+import { currentPart, dailyPart, hourlyPart } from "./lib/message-parts.js";
+import { UNIT_SYSTEMS, parseUnits, describeUnits, convertUnits } from "./lib/units.js";
 
-import { ChatOpenAI } from "@langchain/openai";
 import { tool } from "langchain";
 import { z } from "zod";
-import {
-  HumanMessage,
-  SystemMessage,
-  ToolMessage,
-  AIMessage,
-} from "@langchain/core/messages";
 
 dotenv.config();
 
@@ -117,6 +156,17 @@ const checkDBConnection = (req, res, next) => {
   next();
 };
 
+// Admin endpoints need "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN they are off
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.ADMIN_TOKEN}`) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+};
+
 // ---------------- REDIS CONNECTION ----------------
 const redisClient = createClient({
   username: 'default',
@@ -148,7 +198,26 @@ const sseManager = new SSEConnectionManager();
 // Cleanup old streams every 30 minutes
 setInterval(() => streamManager.cleanup(), 30 * 60 * 1000);
 
+// DEFAULT_UNITS=metric | imperial | standard, for new conversations and REST calls
+const DEFAULT_UNITS = parseUnits(process.env.DEFAULT_UNITS) || "metric";
+
 // ---------------- MONGODB SCHEMA ----------------
+// Typed tool payload shown as a card under a bot message (see lib/message-parts.js)
+const messagePartSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Tokens and USD for the model calls behind one bot message (see lib/usage.js)
+const messageUsageSchema = new mongoose.Schema({
+  model: String,
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  calls: Number,
+  cost: Number
+}, { _id: false });
+
 const conversationSchema = new mongoose.Schema({
   conversationId: { type: String, required: true, unique: true, index: true },
   messages: [{
@@ -156,14 +225,78 @@ const conversationSchema = new mongoose.Schema({
     type: { type: String, enum: ['user', 'bot'], required: true },
     text: { type: String, required: true },
     timestamp: { type: Date, default: Date.now },
-    streaming: { type: Boolean, default: false }
+    streaming: { type: Boolean, default: false },
+    // Previous message on its branch (null for a first message); unset on messages from before branching
+    parentId: { type: String, default: undefined },
+    // "cancelled" when the user stopped the reply (text is what streamed before that),
+    // "error" when generating it failed
+    status: { type: String, enum: ['cancelled', 'error'], default: undefined },
+    parts: { type: [messagePartSchema], default: undefined },
+    usage: { type: messageUsageSchema, default: undefined }
   }],
+  // Model history of the visible branch; rebuilt from messages when the branch changes
   history: [{
     type: { type: String, enum: ['human', 'ai'], required: true },
     text: { type: String, required: true }
   }],
-  lastCity: { type: String, default: null },
+  // Last message of the visible branch (see lib/branches.js); null = newest message
+  currentLeafId: { type: String, default: null },
+  // Older history folded into a summary; `turns` history entries are covered by it
+  summary: {
+    type: new mongoose.Schema({
+      text: String,
+      turns: Number,
+      updatedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  // Last location resolved by get_weather (replaces the old free-text lastCity)
+  lastLocation: {
+    type: new mongoose.Schema({
+      name: String,
+      state: String,
+      country: String,
+      lat: Number,
+      lon: Number
+    }, { _id: false }),
+    default: null
+  },
+  // Rest of the conversation context (lib/conversation-context.js): last data type and dates looked up
+  context: {
+    type: new mongoose.Schema({
+      dataType: { type: String, enum: DATA_TYPES },
+      date: {
+        type: new mongoose.Schema({ from: String, to: String }, { _id: false }),
+        default: null
+      },
+      updatedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  // Unit system for tool output; see lib/units.js
+  units: { type: String, enum: UNIT_SYSTEMS, default: () => DEFAULT_UNITS },
+  // Assistant profile id from GET /api/profiles (null = server default)
+  profile: { type: String, default: null },
+  // Chat model id from GET /api/models (null = server default) and parameter overrides
+  model: { type: String, default: null },
+  modelParams: {
+    type: new mongoose.Schema({
+      temperature: Number,
+      maxTokens: Number
+    }, { _id: false }),
+    default: undefined
+  },
+  // Running totals over every model call, replies and summaries
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    calls: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 }
+  },
   title: { type: String, default: 'New Chat' },
+  // Set once a title has been generated from the first exchange (lib/titles.js)
+  titleGeneratedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   lastActivity: { type: Date, default: Date.now, index: true }
 });
@@ -184,6 +317,40 @@ conversationSchema.pre('save', function() {
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
+// One row per reply, summary or title, for usage reports across conversations
+const usageRecordSchema = new mongoose.Schema({
+  conversationId: { type: String, required: true, index: true },
+  messageId: { type: String, default: null },
+  kind: { type: String, enum: ['reply', 'summary', 'title'], required: true },
+  model: { type: String, required: true },
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  calls: Number,
+  cost: Number,
+  priced: Boolean,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const UsageRecord = mongoose.model('UsageRecord', usageRecordSchema);
+
+// Assistant profiles (lib/profiles.js); built-in ones are seeded on connect
+const profileSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  description: String,
+  persona: { type: String, required: true },
+  instructions: String,
+  tone: String,
+  // Allowed tool names; null = every tool
+  tools: { type: [String], default: null },
+  builtIn: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Profile = mongoose.model('Profile', profileSchema);
+
 // ---------------- CONVERSATION STORAGE ----------------
 // In-memory cache for active conversations with TTL
 const conversationCache = new Map();
@@ -205,111 +372,545 @@ function setCachedConversation(id, data) {
   });
 }
 
-// ---------------- LLM SETUP ----------------
-const llm = new ChatOpenAI({
-  model: "gpt-4o-mini",
-  temperature: 0.4,
-  maxTokens: 1024,
-  configuration: {
-    apiKey: process.env.OPENROUTER_API_KEY ,
-    baseURL: "https://openrouter.ai/api/v1",
-    defaultHeaders: {
-      "HTTP-Referer":  "http://localhost:3000",
-      "X-Title": process.env.APP_TITLE || "Weather Chatbot",
-    },
-  },
-});
-
 // -------------- TOOL SCHEMA --------------
+// Location fields shared by every location-based tool
+const locationFields = {
+  city: z.string().optional().describe('City name, optionally qualified as "city, state, country". Leave out every location field to use the place in the conversation context'),
+  state: z.string().optional().describe("State or region, to disambiguate the city"),
+  country: z.string().optional().describe("Country name or ISO code, to disambiguate the city"),
+  postalCode: z.string().optional().describe("Postal / ZIP code instead of a city name"),
+  lat: z.number().optional().describe("Latitude, use with lon for an exact location"),
+  lon: z.number().optional().describe("Longitude, use with lat for an exact location"),
+};
+
+// Optional per-call override of the conversation's unit system
+const unitsField = z.enum(UNIT_SYSTEMS).optional()
+  .describe("Unit system, only when the user asks for different units in this message");
+
 const weatherSchema = z.object({
-  city: z.string().describe("City name"),
-  type: z.enum(["current", "forecast"]).default("current")
+  ...locationFields,
+  units: unitsField,
+  type: z.enum(["current", "forecast", "hourly"]).default("current")
+    .describe('"current" now, "forecast" daily for 5 days, "hourly" time-of-day slots'),
+  hours: z.number().int().min(1).max(48).optional()
+    .describe("How many hours ahead for the hourly type (default 24, max 48)")
 });
 
-// ------------- TOOL IMPLEMENTATION -------------
-const getWeatherTool = tool(
-  async ({ city, type }) => {
-    const apiKey = process.env.OPEN_WEATHER_API_KEY;
+const airQualitySchema = z.object(locationFields);
+
+const alertsSchema = z.object(locationFields);
 
+const recommendationsSchema = z.object({
+  ...locationFields,
+  units: unitsField,
+});
+
+const historySchema = z.object({
+  ...locationFields,
+  units: unitsField,
+  date: z.string().optional().describe("Single past local date, YYYY-MM-DD"),
+  startDate: z.string().optional().describe("First past local date of a range, YYYY-MM-DD"),
+  endDate: z.string().optional().describe(`Last past local date of a range, YYYY-MM-DD (max ${MAX_HISTORY_DAYS} days)`),
+});
+
+const compareSchema = z.object({
+  locations: z.array(z.object(locationFields))
+    .min(MIN_COMPARE_LOCATIONS)
+    .max(MAX_COMPARE_LOCATIONS)
+    .describe("Places to compare, 2 to 10"),
+  startDate: z.string().optional().describe("First local date to compare, YYYY-MM-DD (default today)"),
+  endDate: z.string().optional().describe("Last local date to compare, YYYY-MM-DD (default end of the 5-day forecast)"),
+  units: unitsField,
+});
+
+const tripSchema = z.object({
+  legs: z.array(z.object({
+    ...locationFields,
+    startDate: z.string().describe("First local date at this stop, YYYY-MM-DD"),
+    endDate: z.string().optional().describe("Last local date at this stop, YYYY-MM-DD (default startDate)"),
+  }))
+    .min(1)
+    .max(MAX_TRIP_LEGS)
+    .describe(`Stops in travel order, 1 to ${MAX_TRIP_LEGS}`),
+  units: unitsField,
+});
+
+// ------------- WEATHER PROVIDER -------------
+// Request budget and circuit breaker for the weather vendor
+// WEATHER_QUOTA_PER_MINUTE / WEATHER_QUOTA_PER_DAY, 0 = unlimited
+const weatherGuard = new UpstreamGuard({
+  name: (process.env.WEATHER_PROVIDER || "openweather").toLowerCase(),
+  redisClient,
+  perMinute: parseInt(process.env.WEATHER_QUOTA_PER_MINUTE ?? "60", 10) || 0,
+  perDay: parseInt(process.env.WEATHER_QUOTA_PER_DAY ?? "30000", 10) || 0,
+});
+
+// WEATHER_PROVIDER=openweather | open-meteo | fixture, cached in Redis per location and data type
+const weatherProvider = new CachedWeatherProvider({
+  provider: createWeatherProvider(process.env, { guard: weatherGuard }),
+  redisClient,
+});
+console.log(`🌤️ Weather provider: ${weatherProvider.name} (Redis cached)`);
+
+// Conversations from before geocoding kept their place as free text in lastCity -
+// resolve it into lastLocation once. Places that can't be found are dropped;
+// provider outages leave lastCity for the next start.
+const migrateLastCity = async () => {
+  const legacy = await Conversation.collection
+    .find({ lastCity: { $type: "string" }, lastLocation: null }, { projection: { conversationId: 1, lastCity: 1 } })
+    .toArray();
+
+  let migrated = 0;
+  for (const { conversationId, lastCity } of legacy) {
+    let location = null;
     try {
-      if (type === "forecast") {
-        const url = new URL("https://api.openweathermap.org/data/2.5/forecast");
-        url.searchParams.set("q", city);
-        url.searchParams.set("appid", apiKey);
-        url.searchParams.set("units", "metric");
-
-        const res = await fetch(url.toString());
-        if (!res.ok) return `Could not get forecast for "${city}".`;
-
-        const data = await res.json();
-
-        // Group forecasts by date, pick 12:00
-        const daily = {};
-        for (const item of data.list) {
-          const date = item.dt_txt.split(" ")[0];
-          if (!daily[date] && item.dt_txt.includes("12:00:00")) {
-            daily[date] = item;
+      ({ location } = await resolveLocation(weatherProvider, { city: lastCity }));
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) {
+        console.error(`❌ lastCity migration stopped at ${conversationId}:`, err.message);
+        break;
+      }
+    }
+    await Conversation.collection.updateOne(
+      { conversationId },
+      {
+        $set: {
+          lastLocation: location && {
+            name: location.name, state: location.state, country: location.country, lat: location.lat, lon: location.lon
           }
-        }
+        },
+        $unset: { lastCity: "" }
+      }
+    );
+    if (location) migrated++;
+  }
+  if (legacy.length) console.log(`📍 Migrated lastCity to lastLocation for ${migrated}/${legacy.length} conversations`);
+};
+const runLastCityMigration = () => {
+  migrateLastCity().catch((err) => console.error('❌ lastCity migration error:', err.message));
+};
+mongoose.connection.on('connected', runLastCityMigration);
+if (mongoose.connection.readyState === 1) runLastCityMigration();
+
+// Pushes "alert" SSE events to conversations whose lastLocation has active alerts
+const alertMonitor = new AlertMonitor({
+  provider: weatherProvider,
+  sseManager,
+  getLocation: async (conversationId) => {
+    const conversation = await Conversation.findOne({ conversationId })
+      .select('lastLocation units')
+      .lean();
+    return { location: conversation?.lastLocation || null, units: conversation?.units || DEFAULT_UNITS };
+  },
+});
+
+// Re-check alerts for open conversations every 10 minutes
+alertMonitor.start(10 * 60 * 1000);
+
+// Recommendation thresholds, tuned per country by REGIONAL_RULES and the RECOMMENDATION_RULES file
+const recommendationRules = new RecommendationRules();
+
+// ------------- TOOL IMPLEMENTATION -------------
+// Explicit tool argument wins, then the conversation setting passed in config
+const toolUnits = (units, config) => parseUnits(units) || config?.configurable?.units || DEFAULT_UNITS;
 
-        const forecastList = Object.values(daily)
-          .slice(0, 5)
-          .map((f) => `📅 ${f.dt_txt.split(" ")[0]}
-🌡 Temp: ${f.main.temp}°C (feels ${f.main.feels_like}°C)
-☁️ ${f.weather[0].description}
-💨 Wind: ${f.wind.speed} m/s
-`)
-          .join("\n");
+// Returns [text for the model, { location, candidates, ambiguous, part }]
+const getWeatherTool = tool(
+  async ({ type, hours, units, ...query }, config) => {
+    const system = toolUnits(units, config);
+    const context = config?.configurable?.context;
+    const label = queryLabel(query, context);
 
-        return `🌦 5-Day Forecast for **${data.city.name}**:\n\n${forecastList}`;
+    try {
+      const resolution = await resolveWithContext(weatherProvider, query, context);
+      if (!resolution.location) {
+        return [formatCandidates(label, resolution, "get_weather"), resolution];
       }
 
-      // ---------- CURRENT WEATHER ----------
-      const url = new URL("https://api.openweathermap.org/data/2.5/weather");
-      url.searchParams.set("q", city);
-      url.searchParams.set("appid", apiKey);
-      url.searchParams.set("units", "metric");
-
-      const response = await fetch(url.toString());
-      if (!response.ok) {
-        return `Could not get weather for "${city}". Please try another city.`;
+      const note = resolution.ambiguous ? `\n\n${formatCandidates(label, resolution, "get_weather")}` : "";
+
+      if (type === "hourly") {
+        const forecast = await weatherProvider.getForecast(resolution.location);
+        const hourly = convertUnits(hourlyForecast(forecast, hours ?? 24), system);
+        return [formatHourlyForecast(hourly) + note, { ...resolution, location: forecast.location, part: hourlyPart(hourly) }];
       }
 
-      const data = await response.json();
+      if (type === "forecast") {
+        const forecast = await weatherProvider.getForecast(resolution.location);
+        const daily = convertUnits(aggregateDaily(forecast), system);
+        return [formatDailyForecast(daily) + note, { ...resolution, location: forecast.location, part: dailyPart("weather_forecast", daily, 5) }];
+      }
 
-      return `Current weather in ${data.name}:
-🌡 Temp: ${data.main.temp}°C (feels like ${data.main.feels_like}°C)
-☁️ ${data.weather[0].description}
-💧 Humidity: ${data.main.humidity}%
-💨 Wind: ${data.wind.speed} m/s`;
+      // ---------- CURRENT WEATHER ----------
+      const current = convertUnits(await weatherProvider.getCurrent(resolution.location), system);
+      return [formatCurrent(current) + note, { ...resolution, location: current.location, part: currentPart(current) }];
     } catch (err) {
-      console.error("Weather tool error:", err);
-      return `Error looking up weather for "${city}".`;
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Weather tool error:", err);
+      return [formatWeatherError(`weather for "${label}"`, err), null];
     }
   },
   {
     name: "get_weather",
-    description: "Get weather information for a city, current or forecast",
+    description: "Get weather information for a place, current or forecast. Accepts a city (optionally with state/country), a postal code, or lat/lon.",
     schema: weatherSchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [text for the model, { location }]
+const getAirQualityTool = tool(
+  async (query, config) => {
+    const context = config?.configurable?.context;
+    const label = queryLabel(query, context);
+
+    try {
+      const resolution = await resolveWithContext(weatherProvider, query, context);
+      if (!resolution.location) {
+        return [formatCandidates(label, resolution, "get_air_quality"), resolution];
+      }
+
+      const note = resolution.ambiguous ? `\n\n${formatCandidates(label, resolution, "get_air_quality")}` : "";
+      const summary = summarizeAirQuality(await weatherProvider.getAirQuality(resolution.location));
+      return [formatAirQuality(summary) + note, { ...resolution, location: summary.location }];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Air quality tool error:", err);
+      return [formatWeatherError(`air quality for "${label}"`, err), null];
+    }
+  },
+  {
+    name: "get_air_quality",
+    description: "Get air quality (AQI with health category, PM2.5, PM10, O3, NO2) and UV index for a place. Use for pollution, smog, outdoor exercise or sun exposure questions.",
+    schema: airQualitySchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [text for the model, { location, alerts, source }]
+const getWeatherAlertsTool = tool(
+  async (query, config) => {
+    const context = config?.configurable?.context;
+    const label = queryLabel(query, context);
+
+    try {
+      const resolution = await resolveWithContext(weatherProvider, query, context);
+      if (!resolution.location) {
+        return [formatCandidates(label, resolution, "get_weather_alerts"), resolution];
+      }
+
+      const note = resolution.ambiguous ? `\n\n${formatCandidates(label, resolution, "get_weather_alerts")}` : "";
+      const result = await getActiveAlerts(weatherProvider, resolution.location, { units: toolUnits(null, config) });
+      return [formatAlerts(result) + note, { ...resolution, ...result }];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Alerts tool error:", err);
+      return [formatWeatherError(`weather alerts for "${label}"`, err), null];
+    }
+  },
+  {
+    name: "get_weather_alerts",
+    description: "Get active severe weather alerts (storms, heatwaves, heavy rain, strong winds) for a place, with severity, start/end and description.",
+    schema: alertsSchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [text for the model, { location, from, to, days, missing, part }]
+const getHistoricalWeatherTool = tool(
+  async ({ date, startDate, endDate, units, ...query }, config) => {
+    const system = toolUnits(units, config);
+    const context = config?.configurable?.context;
+    const label = queryLabel(query, context);
+
+    try {
+      const resolution = await resolveWithContext(weatherProvider, query, context);
+      if (!resolution.location) {
+        return [formatCandidates(label, resolution, "get_historical_weather"), resolution];
+      }
+
+      const note = resolution.ambiguous ? `\n\n${formatCandidates(label, resolution, "get_historical_weather")}` : "";
+      const history = convertUnits(await getHistoricalWeather(weatherProvider, resolution.location, {
+        date,
+        from: startDate,
+        to: endDate,
+      }), system);
+      const part = history.days.length ? dailyPart("weather_history", history) : undefined;
+      return [formatHistory(history) + note, { ...resolution, ...history, part }];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("History tool error:", err);
+      return [formatWeatherError(`historical weather for "${label}"`, err), null];
+    }
+  },
+  {
+    name: "get_historical_weather",
+    description: "Get observed weather for past dates (yesterday, last week, a specific day) as daily min/max temperature, condition, rain and wind - the same daily shape as the forecast, so past and future can be compared. Dates are YYYY-MM-DD, before today.",
+    schema: historySchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [checklist for the model, { location, wear, umbrella, exercise, laundry, commute, activities }]
+const getRecommendationsTool = tool(
+  async ({ units, ...query }, config) => {
+    const context = config?.configurable?.context;
+    const label = queryLabel(query, context);
+
+    try {
+      const resolution = await resolveWithContext(weatherProvider, query, context);
+      if (!resolution.location) {
+        return [formatCandidates(label, resolution, "get_recommendations"), resolution];
+      }
+
+      const note = resolution.ambiguous ? `\n\n${formatCandidates(label, resolution, "get_recommendations")}` : "";
+      const recommendations = convertUnits(
+        await getRecommendations(weatherProvider, resolution.location, { rules: recommendationRules }),
+        toolUnits(units, config)
+      );
+      return [formatRecommendations(recommendations) + note, { ...resolution, ...recommendations }];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Recommendations tool error:", err);
+      return [formatWeatherError(`recommendations for "${label}"`, err), null];
+    }
+  },
+  {
+    name: "get_recommendations",
+    description: "Get rule-based lifestyle advice for the next 24 hours at a place: what to wear, whether to take an umbrella, the best outdoor exercise window, laundry drying, commute risk and suitability scores (0-100) for running, cycling, hiking, picnics, the beach, gardening and sightseeing.",
+    schema: recommendationsSchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [markdown table for the model, { rows, highlights }]
+const compareWeatherTool = tool(
+  async ({ locations, startDate, endDate, units }, config) => {
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) return [`Could not compare weather: ${rangeError}.`, null];
+
+    try {
+      const comparison = convertUnits(
+        await compareWeather(weatherProvider, locations, { from: startDate, to: endDate }),
+        toolUnits(units, config)
+      );
+      return [formatComparison(comparison), comparison];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Compare tool error:", err);
+      const labels = locations.map((l) => `"${l.city || l.postalCode || `${l.lat}, ${l.lon}`}"`);
+      return [formatWeatherError(`a comparison for ${labels.join(", ")}`, err), null];
+    }
+  },
+  {
+    name: "compare_weather",
+    description: "Compare the forecast for 2-10 places side by side over a date range (e.g. \"is Pune or Mumbai better for the weekend?\"). Use this instead of several get_weather calls.",
+    schema: compareSchema,
+    responseFormat: "content_and_artifact",
+  }
+);
+
+// Returns [per-leg plan for the model, { legs, risk, unknownLegs }]
+const planTripTool = tool(
+  async ({ legs, units }, config) => {
+    const error = validateItinerary(legs);
+    if (error) return [`Could not plan the trip: ${error}.`, null];
+
+    try {
+      const plan = convertUnits(await planTrip(weatherProvider, legs), toolUnits(units, config));
+      return [formatTripPlan(plan), plan];
+    } catch (err) {
+      if (!(err instanceof WeatherProviderError) || err.status >= 500) console.error("Trip planner tool error:", err);
+      return [formatWeatherError(`the weather for that ${legs.length}-stop trip`, err), null];
+    }
+  },
+  {
+    name: "plan_trip",
+    description: "Check the weather for a multi-stop trip in one call (\"Pune on Friday, Goa Saturday-Monday\"): per stop and date range the forecast days, a summary and risk flags (heavy rain, heat, wind, storms, alerts). Stops beyond the 5-day forecast are marked unknown. Use this instead of several get_weather calls.",
+    schema: tripSchema,
+    responseFormat: "content_and_artifact",
   }
 );
 
+const tools = [
+  getWeatherTool,
+  getAirQualityTool,
+  getWeatherAlertsTool,
+  compareWeatherTool,
+  getHistoricalWeatherTool,
+  getRecommendationsTool,
+  planTripTool,
+];
+const toolsByName = Object.fromEntries(tools.map((t) => [t.name, t]));
+
+// Status line broadcast while a tool runs
+const TOOL_STATUS = {
+  get_weather: "Fetching weather data...",
+  get_air_quality: "Checking air quality...",
+  get_weather_alerts: "Checking weather alerts...",
+  compare_weather: "Comparing locations...",
+  get_historical_weather: "Looking up past weather...",
+  get_recommendations: "Working out recommendations...",
+  plan_trip: "Checking the weather along your trip...",
+};
+
+// Chat models from env or MODELS_CONFIG; conversations pick one with its own parameters
+const models = new ModelRegistry({ tools, appTitle: process.env.APP_TITLE || "Weather Chatbot" });
+console.log(`🤖 Default model: ${models.defaultId}`);
+
+// Assistant profiles: persona, rules, tone and allowed tools; DEFAULT_PROFILE for new conversations
+const profiles = new ProfileStore({
+  model: Profile,
+  toolNames: tools.map((t) => t.name),
+  defaultId: process.env.DEFAULT_PROFILE || DEFAULT_PROFILE_ID,
+});
+
+const loadProfiles = () => {
+  profiles.load()
+    .then(() => console.log(`🎭 Loaded ${profiles.list().length} profiles (default: ${profiles.defaultId})`))
+    .catch((err) => console.error('❌ Profile load error:', err.message));
+};
+mongoose.connection.on('connected', loadProfiles);
+if (mongoose.connection.readyState === 1) loadProfiles();
+
+// Agent loop limits: AGENT_MAX_STEPS tool rounds per reply, TOOL_TIMEOUT_MS per tool call
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || DEFAULT_MAX_STEPS;
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || DEFAULT_TOOL_TIMEOUT_MS;
+
+// Tools that fan out to several upstream calls get longer
+const TOOL_TIMEOUTS = {
+  compare_weather: TOOL_TIMEOUT_MS * 2,
+  get_historical_weather: TOOL_TIMEOUT_MS * 2,
+  get_recommendations: TOOL_TIMEOUT_MS * 2,
+  plan_trip: TOOL_TIMEOUT_MS * 2,
+};
+
+// Estimated tokens of past turns replayed per prompt; older turns go into the summary
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || DEFAULT_HISTORY_BUDGET;
+
+// USD per million tokens per model, DEFAULT_PRICES or the MODEL_PRICES file
+const prices = new PriceTable();
+
+/**
+ * Price `usage` for `model`, add it to the conversation totals, the bot message
+ * (when given) and the usage log. Returns the priced usage, or null when no call was made.
+ */
+async function recordUsage({ conversationId, messageId = null, kind = "reply", model, usage }) {
+  if (!usage.calls) return null;
+
+  const priced = { model, ...usage, cost: prices.cost(model, usage) };
+  await Conversation.findOneAndUpdate(
+    { conversationId },
+    { $inc: {
+      "usage.promptTokens": priced.promptTokens,
+      "usage.completionTokens": priced.completionTokens,
+      "usage.totalTokens": priced.totalTokens,
+      "usage.calls": priced.calls,
+      "usage.cost": priced.cost
+    } }
+  );
+  if (messageId) {
+    await Conversation.findOneAndUpdate(
+      { conversationId, "messages.id": messageId },
+      { $set: { "messages.$.usage": priced } }
+    );
+  }
+  await UsageRecord.create({ conversationId, messageId, kind, ...priced, priced: prices.has(model) });
+  conversationCache.delete(conversationId);
+
+  console.log(`💰 ${kind} ${priced.totalTokens} tokens ($${priced.cost}) on ${model} for ${conversationId}`);
+  return priced;
+}
+
+/**
+ * Fold turns that fell out of the history window into the conversation summary
+ */
+async function updateSummary(conversationId, llm, model) {
+  const conversation = await Conversation.findOne({ conversationId }).select('history summary');
+  if (!conversation) return;
+
+  const usage = emptyUsage();
+  const summary = await foldHistory({
+    llm,
+    summary: conversation.summary,
+    history: conversation.history,
+    budget: HISTORY_TOKEN_BUDGET,
+    onUsage: (metadata) => addUsage(usage, metadata),
+  });
+  await recordUsage({ conversationId, kind: "summary", model, usage });
+  if (!summary) return;
+
+  await Conversation.findOneAndUpdate({ conversationId }, { $set: { summary } });
+  console.log(`📝 Summarized ${summary.turns} history entries for ${conversationId}`);
+}
+
+// Title generation gives up after this long; the next reply tries again
+const TITLE_TIMEOUT_MS = 15000;
+
+/**
+ * Title the conversation from its first exchange once, save it and tell open clients
+ */
+async function updateTitle(conversationId, llm, model) {
+  // Claim the conversation so overlapping replies don't both generate a title
+  const conversation = await Conversation.findOneAndUpdate(
+    { conversationId, titleGeneratedAt: null },
+    { $set: { titleGeneratedAt: new Date() } }
+  ).select('history');
+  if (!conversation) return;
+
+  const [first, reply] = conversation.history;
+  const usage = emptyUsage();
+  let title = null;
+  try {
+    if (first?.type === "human" && reply?.type === "ai") {
+      title = await generateTitle({
+        llm,
+        userMessage: first.text,
+        reply: reply.text,
+        signal: AbortSignal.timeout(TITLE_TIMEOUT_MS),
+        onUsage: (metadata) => addUsage(usage, metadata),
+      });
+    }
+  } finally {
+    await recordUsage({ conversationId, kind: "title", model, usage });
+    if (!title) {
+      await Conversation.findOneAndUpdate({ conversationId }, { $set: { titleGeneratedAt: null } });
+    }
+  }
+  if (!title) return;
+
+  await Conversation.findOneAndUpdate({ conversationId }, { $set: { title } });
+  conversationCache.delete(conversationId);
+  sseManager.broadcast(conversationId, 'message', { type: "title", title });
+  console.log(`🏷️ Titled ${conversationId}: "${title}"`);
+}
 
-const llmWithTools = llm.bindTools([getWeatherTool]);
+// Conversations from before title generation have no titleGeneratedAt; mark the
+// ones with a title of their own so replies don't overwrite it
+const backfillTitleGeneratedAt = async () => {
+  const { modifiedCount } = await Conversation.collection.updateMany(
+    { titleGeneratedAt: { $exists: false }, title: { $ne: DEFAULT_TITLE } },
+    { $set: { titleGeneratedAt: new Date() } }
+  );
+  if (modifiedCount) console.log(`🏷️ Kept existing titles of ${modifiedCount} conversations`);
+};
+const runTitleBackfill = () => {
+  backfillTitleGeneratedAt().catch((err) => console.error('❌ Title backfill error:', err.message));
+};
+mongoose.connection.on('connected', runTitleBackfill);
+if (mongoose.connection.readyState === 1) runTitleBackfill();
 
 // ---------------- SYSTEM PROMPT ----------------
-const SYSTEM_PROMPT = `
-You are a helpful and knowledgeable AI assistant with weather capabilities.
-
-RULES:
-1. Use the get_weather tool to look up weather information when the user asks about current weather or forecasts.
-2. If the user asks for a forecast, use the "forecast" type parameter.
-3. You can answer ANY question on ANY topic - weather, stories, facts, advice, explanations, creative writing, etc.
-4. ALWAYS provide direct, complete answers. NEVER ask clarifying questions like "What topic would you like?" or "Do you have a preference?"
-5. If asked for a story, creative content, or open-ended request, immediately generate engaging, detailed content without hesitation.
-6. Be conversational, helpful, and comprehensive in your responses.
-7. For creative requests (stories, poems, etc.), make them long, detailed, and engaging.
-`;
+// Tool rules shared by every profile; a rule is left out when the profile may not use its tools.
+// Persona, further rules and tone come from the conversation's profile (lib/profiles.js).
+const TOOL_RULES = [
+  { tools: ["get_weather"], text: "Use the get_weather tool to look up weather information when the user asks about current weather or forecasts. You can call tools over several steps and see each result before the next call, e.g. check the forecast, then air quality for the best day." },
+  { tools: ["get_weather"], text: 'If the user asks for a forecast, use the "forecast" type parameter. For time-of-day questions ("will it rain at 6pm?", "when does the wind drop tonight?") use the "hourly" type and answer from the slots.' },
+  { tools: ["get_air_quality"], text: "Use the get_air_quality tool for pollution, AQI, smog or UV questions, and when advising on outdoor exercise or time outside. Base health advice on the AQI category and UV level it returns (e.g. suggest skipping a morning run when air quality is poor)." },
+  { tools: ["get_weather_alerts"], text: "Use the get_weather_alerts tool when the user asks about warnings, storms, heatwaves, floods or whether it is safe to travel. Lead with the most severe alert and say whether it is official or forecast-based." },
+  { tools: ["compare_weather"], text: 'When the user compares places ("Pune or Mumbai for the weekend?"), call compare_weather once with all of them and the dates in question, then recommend one based on the table.' },
+  { tools: ["plan_trip"], text: 'For trips with several stops or dates per place ("Pune on Friday, Goa Saturday to Monday"), call plan_trip once with every leg as dates. Point out the risky legs first, and say plainly when a leg is unknown because it is beyond the forecast range.' },
+  { tools: ["get_historical_weather"], text: 'For questions about the past ("was yesterday hotter than today?", "how much did it rain last week?") use get_historical_weather; combine it with get_weather for today instead of guessing. Today\'s date is given below.' },
+  { tools: ["get_recommendations"], text: 'For lifestyle questions - what to wear, umbrella, when to run, drying laundry, commute, whether a picnic or the beach is a good idea - use get_recommendations and base the advice on its rules and scores instead of improvising from raw weather data.' },
+  { text: 'Tool output is already in the user\'s unit system (given below); quote values with the units shown. Only pass "units" to a tool when the user asks for different units in that message.' },
+  { text: 'Current conditions, forecasts, hourly slots and past weather from the tools are also shown to the user as a card. Don\'t repeat every number from them; summarize what matters and answer the question. When a result says "Data as of N min ago", mention it ("as of 10 minutes ago"). If the weather service is over its limit or down, say so plainly and share any last known data with its age.' },
+  { text: "Pass state/country, a postal code or lat/lon to the tools when the user gives them. If a tool says a name matches several places, tell the user which one you used and name the alternatives." },
+  { text: 'Follow-ups that leave out the place ("and tomorrow?", "what about humidity?") are about the conversation context given below: call the tools without any location field to use its location, and keep its data type and dates unless the user changes them.' },
+];
 
 // ---------------- HEALTH CHECK ENDPOINT ----------------
 app.get("/api/health", async (req, res) => {
@@ -319,6 +920,7 @@ app.get("/api/health", async (req, res) => {
     services: {
       mongodb: mongoose.connection.readyState === 1 ? "connected" : "disconnected",
       redis: redisClient.isOpen ? "connected" : "disconnected",
+      weather: await weatherGuard.status(),
     },
     uptime: process.uptime(),
     memory: process.memoryUsage(),
@@ -340,13 +942,31 @@ app.get("/api/test", (req, res) => {
 // ---------------- CREATE NEW CONVERSATION ----------------
 app.post("/api/conversations", checkDBConnection, async (req, res) => {
   try {
+    const units = req.body?.units === undefined ? DEFAULT_UNITS : parseUnits(req.body.units);
+    if (!units) {
+      return res.status(400).json({ error: `units must be one of ${UNIT_SYSTEMS.join(", ")}` });
+    }
+
+    const model = req.body?.model ?? null;
+    if (model !== null && !models.get(model)) {
+      return res.status(400).json({ error: `Unknown model "${model}"` });
+    }
+
+    const profile = req.body?.profile ?? null;
+    if (profile !== null && !profiles.get(profile)) {
+      return res.status(400).json({ error: `Unknown profile "${profile}"` });
+    }
+
     const conversationId = randomUUID();
     const newConversation = new Conversation({
       conversationId,
       messages: [],
       history: [],
-      lastCity: null,
-      title: "New Chat",
+      lastLocation: null,
+      units,
+      model,
+      profile,
+      title: DEFAULT_TITLE,
       createdAt: new Date(),
       lastActivity: new Date()
     });
@@ -354,7 +974,7 @@ app.post("/api/conversations", checkDBConnection, async (req, res) => {
     await newConversation.save();
     setCachedConversation(conversationId, newConversation);
     console.log('✅ Created conversation:', conversationId);
-    res.json({ conversationId });
+    res.json({ conversationId, units, model: model || models.defaultId, profile: profile || profiles.defaultId });
   } catch (error) {
     console.error('❌ Error creating conversation:', error);
     res.status(500).json({ 
@@ -371,7 +991,7 @@ app.get("/api/conversations/:id", checkDBConnection, async (req, res) => {
     
     if (!conversation) {
       conversation = await Conversation.findOne({ conversationId: req.params.id })
-        .select('conversationId messages history lastCity title createdAt lastActivity')
+        .select('conversationId messages currentLeafId history lastLocation context units profile model modelParams title createdAt lastActivity')
         .lean();
       
       if (!conversation) {
@@ -381,14 +1001,20 @@ app.get("/api/conversations/:id", checkDBConnection, async (req, res) => {
       setCachedConversation(req.params.id, conversation);
     }
     
-    // Include all messages, including streaming ones - frontend handles display
-    const messages = conversation.messages;
+    // Visible branch only, including streaming messages - frontend handles display
+    const messages = branchView(conversation.messages, conversation.currentLeafId);
     
     res.json({
       id: conversation.conversationId,
       messages: messages,
       history: conversation.history,
-      lastCity: conversation.lastCity,
+      lastLocation: conversation.lastLocation || null,
+      lastCity: conversation.lastLocation?.name || null,
+      context: contextView(conversationContext(conversation, DEFAULT_UNITS)),
+      units: conversation.units || DEFAULT_UNITS,
+      profile: conversation.profile || profiles.defaultId,
+      model: conversation.model || models.defaultId,
+      modelParams: conversation.modelParams || {},
       title: conversation.title,
       createdAt: conversation.createdAt,
       lastActivity: conversation.lastActivity
@@ -399,61 +1025,295 @@ app.get("/api/conversations/:id", checkDBConnection, async (req, res) => {
   }
 });
 
-// ---------------- LIST CONVERSATIONS ----------------
-app.get("/api/conversations", checkDBConnection, async (req, res) => {
+// ---------------- CONVERSATION SETTINGS ----------------
+// Body: { units, model, temperature, maxTokens } - null model or parameter resets to the default
+app.put("/api/conversations/:id/settings", checkDBConnection, async (req, res) => {
   try {
-    const allConversations = await Conversation.find()
-      .sort({ lastActivity: -1 })
-      .select('conversationId title lastActivity messages')
-      .limit(50)
+    const update = {};
+
+    if (req.body?.model !== undefined) {
+      if (req.body.model !== null && !models.get(req.body.model)) {
+        return res.status(400).json({ error: `Unknown model "${req.body.model}"` });
+      }
+      update.model = req.body.model;
+    }
+
+    if (req.body?.profile !== undefined) {
+      if (req.body.profile !== null && !profiles.get(req.body.profile)) {
+        return res.status(400).json({ error: `Unknown profile "${req.body.profile}"` });
+      }
+      update.profile = req.body.profile;
+    }
+
+    for (const key of ["temperature", "maxTokens"]) {
+      if (req.body?.[key] === undefined) continue;
+      const paramError = validateModelParams({ [key]: req.body[key] });
+      if (paramError) return res.status(400).json({ error: paramError });
+      update[`modelParams.${key}`] = req.body[key];
+    }
+
+    if (req.body?.units !== undefined) {
+      const units = parseUnits(req.body.units);
+      if (!units) {
+        return res.status(400).json({ error: `units must be one of ${UNIT_SYSTEMS.join(", ")}` });
+      }
+      update.units = units;
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ error: "No supported settings in request body" });
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { conversationId: req.params.id },
+      { $set: update },
+      { new: true }
+    ).select('conversationId units profile model modelParams').lean();
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    conversationCache.delete(req.params.id);
+    res.json({
+      id: conversation.conversationId,
+      units: conversation.units,
+      profile: conversation.profile || profiles.defaultId,
+      model: conversation.model || models.defaultId,
+      modelParams: conversation.modelParams || {},
+    });
+  } catch (error) {
+    console.error('Error updating conversation settings:', error);
+    res.status(500).json({ error: 'Failed to update conversation settings' });
+  }
+});
+
+// ---------------- MODELS ----------------
+app.get("/api/models", (req, res) => {
+  res.json({ default: models.defaultId, models: models.list() });
+});
+
+// ---------------- PROFILES ----------------
+app.get("/api/profiles", (req, res) => {
+  res.json({ default: profiles.defaultId, profiles: profiles.list() });
+});
+
+// Admin: body { id, name, persona, description?, instructions?, tone?, tools? } (tools null = all)
+app.post("/api/profiles", requireAdmin, checkDBConnection, async (req, res) => {
+  try {
+    const { profile, error, status } = await profiles.create(req.body || {});
+    if (error) return res.status(status).json({ error });
+
+    console.log(`🎭 Created profile ${profile.id}`);
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('❌ Error creating profile:', error);
+    res.status(500).json({ error: 'Failed to create profile' });
+  }
+});
+
+// Admin: any of the fields above except id
+app.put("/api/profiles/:id", requireAdmin, checkDBConnection, async (req, res) => {
+  try {
+    const { profile, error, status } = await profiles.update(req.params.id, req.body || {});
+    if (error) return res.status(status).json({ error });
+
+    console.log(`🎭 Updated profile ${profile.id}`);
+    res.json(profile);
+  } catch (error) {
+    console.error('❌ Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// ---------------- CONVERSATION CONTEXT ----------------
+// Place, data type, units and dates that follow-up questions resolve against
+app.get("/api/conversations/:id/context", checkDBConnection, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ conversationId: req.params.id })
+      .select('lastLocation context units')
       .lean();
-    
-    res.json(allConversations.map(c => ({
-      id: c.conversationId,
-      title: c.title,
-      lastActivity: c.lastActivity,
-      messageCount: c.messages?.length || 0
-    })));
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({ conversationId: req.params.id, context: contextView(conversationContext(conversation, DEFAULT_UNITS)) });
   } catch (error) {
-    console.error('Error listing conversations:', error);
-    res.status(500).json({ error: 'Failed to list conversations' });
+    console.error('❌ Error fetching context:', error);
+    res.status(500).json({ error: 'Failed to fetch context' });
   }
 });
 
-// ---------------- STREAM CONVERSATION UPDATES (SSE) ----------------
-app.get("/api/stream/:conversationId", async (req, res) => {
-  const conversationId = req.params.conversationId;
-  const lastEventId = req.headers['last-event-id'];
+// Forget the place, data type and dates (units are a setting, see PUT .../settings)
+app.delete("/api/conversations/:id/context", checkDBConnection, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { conversationId: req.params.id },
+      { $set: { lastLocation: null, context: null } },
+      { new: true }
+    )
+      .select('lastLocation context units')
+      .lean();
 
-  console.log(`📡 SSE: ${conversationId} | Last-Event-ID: ${lastEventId || 'new'} | Clients: ${sseManager.getClientCount(conversationId)}`);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
 
-  // Set SSE headers with Vercel-compatible configuration
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-  res.flushHeaders();
+    conversationCache.delete(req.params.id);
+    res.json({ success: true, conversationId: req.params.id, context: contextView(conversationContext(conversation, DEFAULT_UNITS)) });
+  } catch (error) {
+    console.error('❌ Error resetting context:', error);
+    res.status(500).json({ error: 'Failed to reset context' });
+  }
+});
 
-  // Set SSE headers and start heartbeat
-  const heartbeat = sseManager.setupSSE(res);
-  
-  // Add this client to the conversation's client list
-  sseManager.addConnection(conversationId, res);
+// ---------------- USAGE ----------------
+const USAGE_SUMS = {
+  promptTokens: { $sum: "$promptTokens" },
+  completionTokens: { $sum: "$completionTokens" },
+  totalTokens: { $sum: "$totalTokens" },
+  calls: { $sum: "$calls" },
+  cost: { $sum: "$cost" }
+};
 
-  // Handle reconnection - send current message state
-  if (lastEventId) {
-    try {
+// Aggregation row -> report row, with sums of float costs rounded back to micro-dollars
+const usageRow = ({ _id, cost, ...row }, key) => ({
+  ...(key && { [key]: _id }),
+  ...row,
+  cost: Math.round((cost || 0) * 1e6) / 1e6
+});
+
+// Totals include summary calls; messages lists each reply's usage across all branches
+app.get("/api/conversations/:id/usage", checkDBConnection, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ conversationId: req.params.id })
+      .select('conversationId messages usage')
+      .lean();
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json({
+      conversationId: conversation.conversationId,
+      total: usageRow({ ...emptyUsage(), ...conversation.usage }),
+      messages: conversation.messages
+        .filter((m) => m.usage)
+        .map((m) => ({ messageId: m.id, timestamp: m.timestamp, ...m.usage }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Usage across conversations, ?from=&to= (YYYY-MM-DD, UTC, inclusive), by model and by day
+app.get("/api/usage", requireAdmin, checkDBConnection, async (req, res) => {
+  const { from, to } = req.query;
+  const rangeError = validateDateRange(from, to, { from: "from", to: "to" });
+  if (rangeError) return res.status(400).json({ error: rangeError });
+
+  const match = {};
+  if (from || to) {
+    match.createdAt = {
+      ...(from && { $gte: new Date(`${from}T00:00:00Z`) }),
+      ...(to && { $lt: new Date(Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000) })
+    };
+  }
+
+  try {
+    const [total] = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...USAGE_SUMS } }
+    ]);
+    const [conversations] = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: "$conversationId" } },
+      { $count: "count" }
+    ]);
+    const byModel = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: "$model", ...USAGE_SUMS, priced: { $min: "$priced" } } },
+      { $sort: { cost: -1, totalTokens: -1 } }
+    ]);
+    const byDay = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, ...USAGE_SUMS } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      total: { ...usageRow(total || { ...emptyUsage(), cost: 0 }), conversations: conversations?.count || 0 },
+      byModel: byModel.map((row) => usageRow(row, "model")),
+      byDay: byDay.map((row) => usageRow(row, "date"))
+    });
+  } catch (error) {
+    console.error('❌ Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+// ---------------- LIST CONVERSATIONS ----------------
+app.get("/api/conversations", checkDBConnection, async (req, res) => {
+  try {
+    const allConversations = await Conversation.find()
+      .sort({ lastActivity: -1 })
+      .select('conversationId title lastActivity messages')
+      .limit(50)
+      .lean();
+    
+    res.json(allConversations.map(c => ({
+      id: c.conversationId,
+      title: c.title,
+      lastActivity: c.lastActivity,
+      messageCount: c.messages?.length || 0
+    })));
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+// ---------------- STREAM CONVERSATION UPDATES (SSE) ----------------
+app.get("/api/stream/:conversationId", async (req, res) => {
+  const conversationId = req.params.conversationId;
+  const lastEventId = req.headers['last-event-id'];
+
+  console.log(`📡 SSE: ${conversationId} | Last-Event-ID: ${lastEventId || 'new'} | Clients: ${sseManager.getClientCount(conversationId)}`);
+
+  // Set SSE headers with Vercel-compatible configuration
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+
+  // Set SSE headers and start heartbeat
+  const heartbeat = sseManager.setupSSE(res);
+  
+  // Add this client to the conversation's client list
+  sseManager.addConnection(conversationId, res);
+
+  // Handle reconnection - send current message state
+  if (lastEventId) {
+    try {
       console.log(`🔄 Reconnect: syncing state from ${lastEventId}`);
       
       // Get current conversation state from DB
       const conversation = await Conversation.findOne({ conversationId }).lean();
       if (conversation && conversation.messages.length > 0) {
-        // Send ALL messages including streaming ones with their accumulated text
-        const allMessages = conversation.messages.map(m => ({
+        // Send the visible branch including streaming messages with their accumulated text
+        const allMessages = branchView(conversation.messages, conversation.currentLeafId).map(m => ({
           id: m.id,
           type: m.type,
           text: m.text,
           streaming: m.streaming || false,
+          status: m.status,
+          siblingIds: m.siblingIds,
+          siblingIndex: m.siblingIndex,
           timestamp: m.timestamp
         }));
         
@@ -501,6 +1361,11 @@ app.get("/api/stream/:conversationId", async (req, res) => {
     sseManager.sendToClient(res, 'message', eventData, eventId);
   }
 
+  // Show any active alerts for the conversation's location straight away
+  alertMonitor.check(conversationId, res).catch((err) => {
+    console.error('❌ Alert check error:', err.message);
+  });
+
   // Clean up on client disconnect
   req.on("close", () => {
     clearInterval(heartbeat);
@@ -509,6 +1374,21 @@ app.get("/api/stream/:conversationId", async (req, res) => {
   });
 });
 
+// Replies being generated: conversationId -> Map(botMessageId -> AbortController)
+const activeGenerations = new Map();
+
+function trackGeneration(conversationId, messageId, controller) {
+  if (!activeGenerations.has(conversationId)) activeGenerations.set(conversationId, new Map());
+  activeGenerations.get(conversationId).set(messageId, controller);
+}
+
+function untrackGeneration(conversationId, messageId) {
+  const generations = activeGenerations.get(conversationId);
+  if (!generations) return;
+  generations.delete(messageId);
+  if (!generations.size) activeGenerations.delete(conversationId);
+}
+
 // ---------------- CHAT ENDPOINT (JSON POST) ----------------
 app.post("/api/chat/:conversationId", checkDBConnection, async (req, res) => {
   const conversationId = req.params.conversationId;
@@ -520,6 +1400,12 @@ app.post("/api/chat/:conversationId", checkDBConnection, async (req, res) => {
       return res.status(400).json({ error: "message required" });
     }
 
+    // Optional unit switch sent along with the message, persisted for the conversation
+    const units = req.body?.units === undefined ? null : parseUnits(req.body.units);
+    if (req.body?.units !== undefined && !units) {
+      return res.status(400).json({ error: `units must be one of ${UNIT_SYSTEMS.join(", ")}` });
+    }
+
     // Get or create conversation from MongoDB
     let conversation = await Conversation.findOne({ conversationId });
     if (!conversation) {
@@ -527,7 +1413,7 @@ app.post("/api/chat/:conversationId", checkDBConnection, async (req, res) => {
         conversationId,
         messages: [],
         history: [],
-        lastCity: null,
+        lastLocation: null,
         title: userMessage.substring(0, 50),
         createdAt: new Date(),
         lastActivity: new Date()
@@ -536,20 +1422,21 @@ app.post("/api/chat/:conversationId", checkDBConnection, async (req, res) => {
 
     conversation.lastActivity = new Date();
 
-    // Add user message to DB
+    // Add user message to DB, continuing the visible branch
     const userMsgId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
     const userMsg = { 
       id: userMsgId,
       type: "user", 
       text: userMessage, 
       timestamp: new Date(),
-      streaming: false
+      streaming: false,
+      parentId: conversation.currentLeafId || conversation.messages.at(-1)?.id || null
     };
     await Conversation.findOneAndUpdate(
       { conversationId },
       { 
         $push: { messages: userMsg },
-        $set: { lastActivity: new Date() }
+        $set: { lastActivity: new Date(), currentLeafId: userMsgId, ...(units && { units }) }
       }
     );
     
@@ -568,196 +1455,621 @@ app.post("/api/chat/:conversationId", checkDBConnection, async (req, res) => {
     res.json({ success: true, conversationId, messageId: userMsgId });
 
     // Process AI response in background (non-blocking)
-    setImmediate(async () => {
-      const botMsgId = `bot-${Date.now()}`;
-      let fullReply = "";
-      let streamId = null;
-      
-      try {
-        // Refetch conversation for latest history
-        const latestConversation = await Conversation.findOne({ conversationId });
-        if (!latestConversation) {
-          console.error('❌ Conversation not found:', conversationId);
-          return;
-        }
+    setImmediate(() => generateReply({ conversationId, userMessage, userMsgId }).catch((err) => {
+      console.error('❌ Reply generation error:', err);
+    }));
+
+  } catch (error) {
+    console.error("Chat error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}); 
+
+/**
+ * Stream the bot reply to `userMsgId` over SSE: agent loop with tools, then the
+ * final save. The conversation's history must already end just before the
+ * user message. `branched` replies (regenerate, edit) re-send the branch view
+ * once done so clients can show the new alternative.
+ */
+async function generateReply({ conversationId, userMessage, userMsgId, branched = false }) {
+  const botMsgId = `bot-${Date.now()}`;
+  let fullReply = "";
+  // Tool payloads rendered as cards on the bot message
+  const parts = [];
+  let streamId = null;
+  // Aborted by POST /api/chat/:conversationId/cancel
+  const controller = new AbortController();
+  trackGeneration(conversationId, botMsgId, controller);
+  // Tokens across every model call for this reply, tool-call steps included
+  const usage = emptyUsage();
+  let model = null;
+  const saveUsage = (messageId) =>
+    recordUsage({ conversationId, messageId, model, usage }).catch((err) => {
+      console.error('❌ Usage record error:', err.message);
+      return null;
+    });
+  
+  try {
+    // Refetch conversation for latest history
+    const latestConversation = await Conversation.findOne({ conversationId });
+    if (!latestConversation) {
+      console.error('❌ Conversation not found:', conversationId);
+      return;
+    }
+    
+    // Broadcast processing status AFTER user message is sent
+    console.log(`📤 Broadcasting status to ${sseManager.getClientCount(conversationId)} clients`);
+    sseManager.broadcast(conversationId, 'message', {
+      type: "status",
+      content: "processing"
+    });
+    
+    // Build LangChain messages
+    // The model needs today's date to turn "yesterday" / "last week" into dates
+    const conversationUnits = latestConversation.units || DEFAULT_UNITS;
+    // Place, data type and dates of the conversation so far; tools update it as they resolve things
+    const context = conversationContext(latestConversation, DEFAULT_UNITS);
+    // The profile sets the persona and which tools the model may call
+    const profile = profiles.resolve(latestConversation.profile);
+    const allowedTools = profileTools(profile, null);
+    const resolved = models.resolve(latestConversation.model, latestConversation.modelParams, allowedTools);
+    const { llm, llmWithTools } = resolved;
+    model = resolved.model;
+    console.log(`🤖 Using model ${model} with profile ${profile.id} for ${conversationId}`);
+    // Recent turns up to HISTORY_TOKEN_BUDGET; older ones live in the rolling summary
+    const { messages, dropped, tokens } = buildContext({
+      systemPrompt:
+        `${buildSystemPrompt(profile, TOOL_RULES)}\nToday's date (UTC): ${new Date().toISOString().slice(0, 10)}` +
+        `\nUser's unit system: ${conversationUnits}`,
+      summary: latestConversation.summary,
+      context,
+      history: latestConversation.history,
+      userMessage,
+      budget: HISTORY_TOKEN_BUDGET,
+    });
+    console.log(`🧮 Prompt context ~${tokens} tokens for ${conversationId}`);
+    if (dropped) {
+      console.warn(`⚠️ ${dropped} history entries outside the window are not summarized yet`);
+    }
+
+    // Create resumable stream up front - text is forwarded as soon as the model emits it
+    streamId = await streamManager.createStream(conversationId, botMsgId);
+
+    sseManager.broadcast(conversationId, 'message', {
+      type: "status",
+      content: "generating"
+    });
+
+    // SINGLE STREAMING PASS - the tool-bound model streams text and tool-call
+    // deltas; tools run between steps and streaming continues with their results.
+    // Tools convert their output to the conversation's unit system
+    const { steps, finished } = await runToolLoop({
+      model: llmWithTools,
+      finalModel: llm,
+      messages,
+      toolsByName: allowedTools
+        ? Object.fromEntries(allowedTools.map((name) => [name, toolsByName[name]]))
+        : toolsByName,
+      config: { configurable: { units: conversationUnits, context } },
+      maxSteps: AGENT_MAX_STEPS,
+      toolTimeoutMs: TOOL_TIMEOUT_MS,
+      timeouts: TOOL_TIMEOUTS,
+      signal: controller.signal,
+      onUsage: (metadata) => addUsage(usage, metadata),
+      onToken: async (text) => {
+        fullReply += text;
         
-        // Broadcast processing status AFTER user message is sent
-        console.log(`📤 Broadcasting status to ${sseManager.getClientCount(conversationId)} clients`);
+        // Append to resumable stream
+        await streamManager.appendToStream(streamId, text);
+        
+        // Broadcast token to all connected clients
+        const clientCount = sseManager.getClientCount(conversationId);
+        console.log(`📤 Broadcasting token to ${clientCount} clients:`, text.substring(0, 20));
         sseManager.broadcast(conversationId, 'message', {
-          type: "status",
-          content: "processing"
+          type: "token",
+          content: text,
+          messageId: botMsgId
         });
         
-        // Build LangChain messages
-        const messages = [new SystemMessage(SYSTEM_PROMPT)];
-
-        for (const m of latestConversation.history) {
-          if (m.type === "human") messages.push(new HumanMessage(m.text));
-          if (m.type === "ai") messages.push(new AIMessage(m.text));
-        }
-
-        messages.push(new HumanMessage(userMessage));
-
-        // STEP 1: TOOL DECISION (NO STREAMING)
-        let aiMessage = await llmWithTools.invoke(messages);
-        messages.push(aiMessage);
-
-        // STEP 2: HANDLE TOOL CALLS
-        if (aiMessage.tool_calls?.length) {
-          for (const call of aiMessage.tool_calls) {
-            if (call.name === "get_weather") {
-              // Update lastCity in database
-              await Conversation.findOneAndUpdate(
-                { conversationId },
-                { $set: { lastCity: call.args.city } }
-              );
-
-              // Broadcast status to all connected clients
-              console.log(`📤 Broadcasting weather status to ${sseManager.getClientCount(conversationId)} clients`);
-              sseManager.broadcast(conversationId, 'message', {
-                type: "status",
-                content: "Fetching weather data...",
-              });
-
-              const toolResult = await getWeatherTool.invoke(call.args);
-
-              messages.push(
-                new ToolMessage({
-                  tool_call_id: call.id,
-                  content: toolResult,
-                })
-              );
+        // CRITICAL: Persist full accumulated text on EVERY token
+        // This ensures database is always authoritative source of truth
+        const existingMsg = await Conversation.findOne(
+          { conversationId, "messages.id": botMsgId }
+        );
+        
+        if (!existingMsg) {
+          // First token - create the message
+          await Conversation.findOneAndUpdate(
+            { conversationId },
+            {
+              $push: { messages: {
+                id: botMsgId,
+                type: "bot",
+                text: fullReply,
+                timestamp: new Date(),
+                streaming: true,
+                parentId: userMsgId,
+                ...(parts.length && { parts })
+              } },
+              $set: { currentLeafId: botMsgId }
             }
-          }
+          );
+        } else {
+          // Update existing message with full accumulated text
+          await Conversation.findOneAndUpdate(
+            { conversationId, "messages.id": botMsgId },
+            { $set: { "messages.$.text": fullReply } }
+          );
         }
-
-        // Create resumable stream
-        streamId = await streamManager.createStream(conversationId, botMsgId);
-
-        // Broadcast that streaming is starting
+      },
+      onToolStart: ({ step, call }) => {
+        console.log(`📤 Broadcasting ${call.name} start (step ${step}) to ${sseManager.getClientCount(conversationId)} clients`);
+        sseManager.broadcast(conversationId, 'message', {
+          type: "tool_start",
+          messageId: botMsgId,
+          step,
+          toolCallId: call.id,
+          name: call.name,
+          args: call.args,
+          label: TOOL_STATUS[call.name] || "Working...",
+        });
+      },
+      onToolEnd: async ({ step, call, toolMessage, error, durationMs }) => {
         sseManager.broadcast(conversationId, 'message', {
-          type: "status",
-          content: "generating"
+          type: "tool_end",
+          messageId: botMsgId,
+          step,
+          toolCallId: call.id,
+          name: call.name,
+          ok: !error,
+          durationMs,
+          ...(error && { error: error.message }),
         });
+        if (error) {
+          console.error(`❌ Tool ${call.name} failed:`, error.message);
+          return;
+        }
 
-        // STEP 3: STREAM FINAL RESPONSE
-        const finalStream = await llm.stream(messages);
+        const part = toolMessage.artifact?.part;
+        if (part) {
+          parts.push(part);
+          sseManager.broadcast(conversationId, 'message', {
+            type: "part",
+            messageId: botMsgId,
+            part
+          });
+          // Text may already have streamed before this tool ran
+          await Conversation.updateOne(
+            { conversationId, "messages.id": botMsgId },
+            { $set: { "messages.$.parts": parts } }
+          );
+        }
 
-        for await (const chunk of finalStream) {
-          if (!chunk.content) continue;
+        // Remember the resolved location (not the raw string the model passed), data type
+        // and dates; later tools in this reply see the update through config
+        const artifact = toolMessage.artifact;
+        if (!artifact) return;
 
-          const text =
-            typeof chunk.content === "string"
-              ? chunk.content
-              : chunk.content.map((c) => c.text || "").join("");
+        const previousLocation = context.location;
+        Object.assign(context, nextContext(context, { name: call.name, args: call.args, artifact }));
+        await Conversation.findOneAndUpdate(
+          { conversationId },
+          { $set: {
+            lastLocation: context.location,
+            context: { dataType: context.dataType, date: context.date, updatedAt: context.updatedAt }
+          } }
+        );
 
-          if (text) {
-            fullReply += text;
-            
-            // Append to resumable stream
-            await streamManager.appendToStream(streamId, text);
-            
-            // Broadcast token to all connected clients
-            const clientCount = sseManager.getClientCount(conversationId);
-            console.log(`📤 Broadcasting token to ${clientCount} clients:`, text.substring(0, 20));
-            sseManager.broadcast(conversationId, 'message', {
-              type: "token",
-              content: text,
-              messageId: botMsgId
-            });
-            
-            // CRITICAL: Persist full accumulated text on EVERY token
-            // This ensures database is always authoritative source of truth
-            const existingMsg = await Conversation.findOne(
-              { conversationId, "messages.id": botMsgId }
-            );
-            
-            if (!existingMsg) {
-              // First token - create the message
-              await Conversation.findOneAndUpdate(
-                { conversationId },
-                { $push: { messages: {
-                  id: botMsgId,
-                  type: "bot",
-                  text: fullReply,
-                  timestamp: new Date(),
-                  streaming: true
-                } } }
-              );
-            } else {
-              // Update existing message with full accumulated text
-              await Conversation.findOneAndUpdate(
-                { conversationId, "messages.id": botMsgId },
-                { $set: { "messages.$.text": fullReply } }
-              );
-            }
-          }
+        // nextContext keeps the location object for the same place, so this only fires on a move
+        if (context.location && context.location !== previousLocation) {
+          alertMonitor.check(conversationId).catch((err) => {
+            console.error('❌ Alert check error:', err.message);
+          });
         }
+      },
+    });
 
-        // Safety fallback
-        if (!fullReply.trim()) {
-          fullReply = "Here's the weather information you requested 🌦";
-        }
+    // Nothing left to cancel once the reply is complete
+    untrackGeneration(conversationId, botMsgId);
 
-        // Complete the stream
-        if (streamId) {
-          await streamManager.completeStream(streamId);
+    if (!finished) {
+      console.warn(`⚠️ Agent step cap (${steps}) reached for ${conversationId}`);
+    }
+
+    // Safety fallback
+    if (!fullReply.trim()) {
+      fullReply = "Here's the weather information you requested 🌦";
+    }
+
+    // Complete the stream
+    if (streamId) {
+      await streamManager.completeStream(streamId);
+    }
+
+    // Final save with streaming=false
+    const history = [
+      { type: "human", text: userMessage },
+      { type: "ai", text: fullReply }
+    ];
+    const existing = await Conversation.exists({ conversationId, "messages.id": botMsgId });
+    if (existing) {
+      await Conversation.findOneAndUpdate(
+        { conversationId, "messages.id": botMsgId },
+        { 
+          $set: { 
+            "messages.$.text": fullReply, 
+            "messages.$.streaming": false,
+            ...(parts.length && { "messages.$.parts": parts })
+          },
+          $push: { history: { $each: history } }
         }
+      );
+    } else {
+      // Tools ran but the model streamed no text - the message was never created
+      const botMsg = {
+        id: botMsgId,
+        type: "bot",
+        text: fullReply,
+        timestamp: new Date(),
+        streaming: false,
+        parentId: userMsgId,
+        ...(parts.length && { parts })
+      };
+      await Conversation.findOneAndUpdate(
+        { conversationId },
+        {
+          $push: { messages: botMsg, history: { $each: history } },
+          $set: { currentLeafId: botMsgId }
+        }
+      );
+      sseManager.broadcast(conversationId, 'message', { type: "message", message: botMsg });
+    }
+    
+    const messageUsage = await saveUsage(botMsgId);
 
-        // Final save with streaming=false
-        await Conversation.findOneAndUpdate(
-          { conversationId, "messages.id": botMsgId },
-          { 
-            $set: { 
-              "messages.$.text": fullReply, 
-              "messages.$.streaming": false 
-            },
-            $push: { 
-              history: { 
-                $each: [
-                  { type: "human", text: userMessage },
-                  { type: "ai", text: fullReply }
-                ]
-              }
-            }
-          }
-        );
-        
-        // Invalidate cache
-        conversationCache.delete(conversationId);
+    // Invalidate cache
+    conversationCache.delete(conversationId);
 
-        // Broadcast completion to all connected clients
-        sseManager.broadcast(conversationId, 'message', {
-          type: "done",
-          messageId: botMsgId
-        });
+    // Broadcast completion to all connected clients
+    sseManager.broadcast(conversationId, 'message', {
+      type: "done",
+      messageId: botMsgId,
+      ...(messageUsage && { usage: messageUsage })
+    });
 
-      } catch (error) {
-        console.error("AI processing error:", error);
-        
-        // Remove streaming message on error
-        await Conversation.findOneAndUpdate(
-          { conversationId },
-          { $pull: { messages: { id: botMsgId } } }
-        );
-        
-        sseManager.broadcast(conversationId, 'message', {
-          type: "message",
-          message: { type: "bot", text: "Sorry, an error occurred.", id: `error-${Date.now()}` }
-        });
-        sseManager.broadcast(conversationId, 'message', {
-          type: "done",
-          messageId: botMsgId
-        });
-      }
+    // The new reply is one more alternative - refresh the switchers
+    if (branched) {
+      await broadcastBranch(conversationId);
+    }
+
+    // Keep the summary caught up for the next turn, off the reply path
+    updateSummary(conversationId, llm, model).catch((err) => {
+      console.error('❌ Summary update error:', err.message);
     });
 
+    // Name the conversation after its first exchange
+    if (!latestConversation.titleGeneratedAt) {
+      updateTitle(conversationId, llm, model).catch((err) => {
+        console.error('❌ Title generation error:', err.message);
+      });
+    }
+
   } catch (error) {
-    console.error("Chat error:", error);
+    if (controller.signal.aborted) {
+      console.log(`⏹ Reply ${botMsgId} cancelled for ${conversationId}`);
+      await saveCancelledReply({ conversationId, botMsgId, userMsgId, streamId, userMessage, text: fullReply, parts });
+      await saveUsage(botMsgId);
+      if (branched) await broadcastBranch(conversationId);
+      return;
+    }
+
+    console.error("AI processing error:", error);
+    
+    // The reply becomes an error message so the branch still alternates user and bot
+    const botMsg = await saveFailedReply({ conversationId, botMsgId, userMsgId, userMessage, parts });
+    // Calls made before the failure are still billed
+    await saveUsage(botMsgId);
+    
+    sseManager.broadcast(conversationId, 'message', { type: "message", message: botMsg });
+    sseManager.broadcast(conversationId, 'message', {
+      type: "done",
+      messageId: botMsgId
+    });
+  } finally {
+    untrackGeneration(conversationId, botMsgId);
+  }
+}
+
+/**
+ * Persist a stopped reply with whatever streamed so far and tell the clients
+ */
+async function saveCancelledReply({ conversationId, botMsgId, userMsgId, streamId, userMessage, text, parts }) {
+  if (streamId) {
+    await streamManager.cancelStream(streamId);
+  }
+
+  // History mirrors the visible messages, placeholder included
+  const reply = text.trim() ? text : "Stopped before replying.";
+  const history = [
+    { type: "human", text: userMessage },
+    { type: "ai", text: reply }
+  ];
+
+  const existing = await Conversation.exists({ conversationId, "messages.id": botMsgId });
+  if (existing) {
+    await Conversation.findOneAndUpdate(
+      { conversationId, "messages.id": botMsgId },
+      {
+        $set: {
+          "messages.$.text": reply,
+          "messages.$.streaming": false,
+          "messages.$.status": "cancelled",
+          ...(parts.length && { "messages.$.parts": parts })
+        },
+        $push: { history: { $each: history } }
+      }
+    );
+  } else {
+    await Conversation.findOneAndUpdate(
+      { conversationId },
+      {
+        $push: {
+          messages: {
+            id: botMsgId,
+            type: "bot",
+            text: reply,
+            timestamp: new Date(),
+            streaming: false,
+            status: "cancelled",
+            parentId: userMsgId,
+            ...(parts.length && { parts })
+          },
+          history: { $each: history }
+        },
+        $set: { currentLeafId: botMsgId }
+      }
+    );
+  }
+
+  conversationCache.delete(conversationId);
+
+  sseManager.broadcast(conversationId, 'message', {
+    type: "cancelled",
+    messageId: botMsgId,
+    text: reply
+  });
+}
+
+/**
+ * Replace a failed reply with an error message on its branch, keeping any tool cards.
+ * Returns the saved message.
+ */
+async function saveFailedReply({ conversationId, botMsgId, userMsgId, userMessage, parts }) {
+  const botMsg = {
+    id: botMsgId,
+    type: "bot",
+    text: "Sorry, an error occurred.",
+    timestamp: new Date(),
+    streaming: false,
+    status: "error",
+    parentId: userMsgId,
+    ...(parts.length && { parts })
+  };
+  const history = [
+    { type: "human", text: userMessage },
+    { type: "ai", text: botMsg.text }
+  ];
+
+  // Drop whatever streamed before the failure, then save the error in its place
+  await Conversation.findOneAndUpdate({ conversationId }, { $pull: { messages: { id: botMsgId } } });
+  await Conversation.findOneAndUpdate(
+    { conversationId },
+    {
+      $push: { messages: botMsg, history: { $each: history } },
+      $set: { currentLeafId: botMsgId }
+    }
+  );
+  conversationCache.delete(conversationId);
+  return botMsg;
+}
+
+// ---------------- CANCEL GENERATION ----------------
+// Stops the reply in progress (or only `messageId` when given); tools and the model stream are aborted
+app.post("/api/chat/:conversationId/cancel", (req, res) => {
+  const { conversationId } = req.params;
+  const messageId = req.body?.messageId;
+  const generations = activeGenerations.get(conversationId);
+
+  const targets = generations
+    ? [...generations.entries()].filter(([id]) => !messageId || id === messageId)
+    : [];
+  if (!targets.length) {
+    return res.status(404).json({ error: "No reply in progress" });
+  }
+
+  for (const [, controller] of targets) {
+    controller.abort(new Error("Cancelled by user"));
+  }
+
+  res.json({ success: true, cancelled: targets.map(([id]) => id) });
+});
+
+
+// ---------------- BRANCHING (REGENERATE / EDIT / SWITCH) ----------------
+/**
+ * Update for showing the branch ending at `leafId` (null = before the first
+ * message): the pointer, the model history of that branch, and the summary
+ * unless it covers turns the branches don't share
+ */
+function branchUpdate(conversation, linked, leafId) {
+  const history = leafId ? historyFromPath(activePath(linked, leafId)) : [];
+  const old = conversation.history || [];
+  let shared = 0;
+  while (shared < history.length && shared < old.length &&
+    history[shared].type === old[shared].type && history[shared].text === old[shared].text) {
+    shared++;
+  }
+  const keepSummary = conversation.summary && conversation.summary.turns <= shared;
+  return {
+    currentLeafId: leafId,
+    history,
+    ...(!keepSummary && { summary: null }),
+    lastActivity: new Date()
+  };
+}
+
+/**
+ * Send every client the visible branch, e.g. after a switch or a new alternative
+ */
+async function broadcastBranch(conversationId) {
+  const conversation = await Conversation.findOne({ conversationId })
+    .select('messages currentLeafId')
+    .lean();
+  if (!conversation) return null;
+
+  const messages = branchView(conversation.messages, conversation.currentLeafId);
+  sseManager.broadcast(conversationId, 'message', { type: "branch", messages });
+  return messages;
+}
+
+// Branch operations would race the reply being written
+function replyInProgress(conversationId, res) {
+  if (!activeGenerations.has(conversationId)) return false;
+  res.status(409).json({ error: "A reply is in progress - stop it first" });
+  return true;
+}
+
+// New answer to the user message before a bot message (default: the last answer on the visible branch)
+app.post("/api/chat/:conversationId/regenerate", checkDBConnection, async (req, res) => {
+  const { conversationId } = req.params;
+
+  try {
+    if (replyInProgress(conversationId, res)) return;
+
+    const conversation = await Conversation.findOne({ conversationId }).lean();
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const linked = linkMessages(conversation.messages);
+    const target = req.body?.messageId
+      ? linked.find((m) => m.id === req.body.messageId)
+      : activePath(linked, conversation.currentLeafId).findLast((m) => m.type === "bot");
+    if (!target || target.type !== "bot") {
+      return res.status(404).json({ error: "Bot message not found" });
+    }
+
+    const userMsg = linked.find((m) => m.id === target.parentId);
+    if (userMsg?.type !== "user") {
+      return res.status(400).json({ error: "Message has no question to answer again" });
+    }
+
+    // The model sees the branch up to, not including, the question
+    const update = branchUpdate(conversation, linked, userMsg.parentId);
+    update.currentLeafId = userMsg.id;
+    await Conversation.findOneAndUpdate({ conversationId }, { $set: update });
+    conversationCache.delete(conversationId);
+
+    const messages = await broadcastBranch(conversationId);
+    res.json({ success: true, conversationId, messageId: userMsg.id, messages });
+
+    setImmediate(() => generateReply({ conversationId, userMessage: userMsg.text, userMsgId: userMsg.id, branched: true }).catch((err) => {
+      console.error('❌ Reply generation error:', err);
+    }));
+  } catch (error) {
+    console.error("Regenerate error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
-}); 
+});
+
+// Edit-and-resend: the new text becomes an alternative to the user message and gets its own answer
+app.post("/api/chat/:conversationId/messages/:messageId/edit", checkDBConnection, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  try {
+    const userMessage = String(req.body?.message || "").trim();
+    if (!userMessage) {
+      return res.status(400).json({ error: "message required" });
+    }
+
+    if (replyInProgress(conversationId, res)) return;
+
+    const conversation = await Conversation.findOne({ conversationId }).lean();
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const linked = linkMessages(conversation.messages);
+    const original = linked.find((m) => m.id === messageId);
+    if (!original || original.type !== "user") {
+      return res.status(404).json({ error: "User message not found" });
+    }
+
+    const userMsgId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const userMsg = {
+      id: userMsgId,
+      type: "user",
+      text: userMessage,
+      timestamp: new Date(),
+      streaming: false,
+      parentId: original.parentId
+    };
+
+    // History is the branch up to the edited message; the pointer moves to the new one
+    const update = branchUpdate(conversation, linked, original.parentId);
+    update.currentLeafId = userMsgId;
+
+    await Conversation.findOneAndUpdate(
+      { conversationId },
+      { $push: { messages: userMsg }, $set: update }
+    );
+    conversationCache.delete(conversationId);
+
+    const messages = await broadcastBranch(conversationId);
+    res.json({ success: true, conversationId, messageId: userMsgId, messages });
+
+    setImmediate(() => generateReply({ conversationId, userMessage, userMsgId, branched: true }).catch((err) => {
+      console.error('❌ Reply generation error:', err);
+    }));
+  } catch (error) {
+    console.error("Edit message error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Show another alternative: the branch continues down its newest replies
+app.put("/api/conversations/:id/branch", checkDBConnection, async (req, res) => {
+  const conversationId = req.params.id;
+
+  try {
+    const messageId = req.body?.messageId;
+    if (!messageId) {
+      return res.status(400).json({ error: "messageId required" });
+    }
+
+    if (replyInProgress(conversationId, res)) return;
 
+    const conversation = await Conversation.findOne({ conversationId }).lean();
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const linked = linkMessages(conversation.messages);
+    if (!linked.some((m) => m.id === messageId)) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const update = branchUpdate(conversation, linked, latestLeaf(linked, messageId));
+    await Conversation.findOneAndUpdate({ conversationId }, { $set: update });
+    conversationCache.delete(conversationId);
+
+    const messages = await broadcastBranch(conversationId);
+    res.json({ success: true, conversationId, messages });
+  } catch (error) {
+    console.error("Switch branch error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
 // ---------------- RESUME STREAM ENDPOINT ----------------
 app.get("/api/conversations/:conversationId/resume", checkDBConnection, async (req, res) => {
@@ -793,7 +2105,8 @@ app.get("/api/conversations/:conversationId/resume", checkDBConnection, async (r
         messageId,
         text: resumeResult.text,
         status: resumeResult.status,
-        isStreaming: message.streaming || false
+        isStreaming: message.streaming || false,
+        parts: message.parts || []
       });
     }
 
@@ -802,8 +2115,9 @@ app.get("/api/conversations/:conversationId/resume", checkDBConnection, async (r
       success: true,
       messageId,
       text: message.text,
-      status: message.streaming ? "active" : "completed",
-      isStreaming: message.streaming || false
+      status: message.streaming ? "active" : (message.status || "completed"),
+      isStreaming: message.streaming || false,
+      parts: message.parts || []
     });
 
   } catch (error) {
@@ -812,50 +2126,320 @@ app.get("/api/conversations/:conversationId/resume", checkDBConnection, async (r
   }
 });
 
+// ---------------- WEATHER REST HELPERS ----------------
+// Accepts ?city= (or "city, state, country"), ?state=, ?country=, ?zip= and ?lat=&lon=
+const locationQueryFromRequest = (query) => ({
+  city: query.city || query.q,
+  state: query.state,
+  country: query.country,
+  postalCode: query.zip || query.postalCode,
+  lat: query.lat,
+  lon: query.lon,
+});
+
+const hasLocationQuery = (query) =>
+  Boolean(query.city || query.q || query.zip || query.postalCode || (query.lat && query.lon));
+
+// ?units=metric | imperial | standard (also c/f/k), DEFAULT_UNITS when absent, null when invalid
+const unitsFromRequest = (query) =>
+  query.units === undefined ? DEFAULT_UNITS : parseUnits(query.units);
+
+// Whole-number query parameter, `fallback` when absent, NaN when malformed ("3abc", "2.9")
+const intFromQuery = (value, fallback) =>
+  value === undefined ? fallback : /^\d+$/.test(value) ? Number(value) : NaN;
+
+const UNITS_ERROR = { error: `units must be one of ${UNIT_SYSTEMS.join(", ")}` };
+
+// Flat shape the WeatherCard reads, plus the normalized location
+const toWeatherCard = (current) => ({
+  city: current.location.name,
+  temp: current.temp,
+  feelsLike: current.feelsLike,
+  humidity: current.humidity,
+  pressure: current.pressure,
+  wind: current.windSpeed,
+  visibility: current.visibility,
+  condition: current.condition.description,
+  icon: current.condition.icon,
+  observedAt: current.observedAt,
+  location: current.location,
+  provider: current.provider,
+  units: current.units || describeUnits(),
+  cache: current.cache || null,
+});
+
+// Resolve to a single location; qualifiers that rule out every match are a 404
+const resolveRequestLocation = async (query) => {
+  const resolution = await resolveLocation(weatherProvider, locationQueryFromRequest(query));
+  if (!resolution.location) {
+    const error = new WeatherProviderError(`No place matches "${query.city || query.q}"`, {
+      code: "not_found",
+      status: 404,
+    });
+    error.candidates = resolution.candidates;
+    throw error;
+  }
+  return resolution;
+};
+
+const sendWeatherError = (res, error) => {
+  if (error instanceof WeatherProviderError) {
+    console.error('❌ Weather API error:', error.message);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.retryAfter && { retryAfter: error.retryAfter }),
+      ...(error.candidates && { candidates: error.candidates }),
+    });
+  }
+  console.error("❌ Weather API error:", error.message);
+  return res.status(500).json({ 
+    error: "Unable to fetch weather",
+    details: error.message 
+  });
+};
+
+// ---------------- GEOCODING API ----------------
+app.get("/api/geocode", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "city, zip or lat/lon required" });
+  }
+
+  try {
+    const { location, candidates, ambiguous } = await resolveLocation(
+      weatherProvider,
+      locationQueryFromRequest(req.query)
+    );
+    return res.json({
+      location,
+      candidates: candidates.map((c) => ({ ...c, label: formatLocationLabel(c) })),
+      ambiguous,
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
 // ---------------- WEATHER CARD API ----------------
 app.get("/api/weather", async (req, res) => {
-  const city = req.query.city;
-  if (!city) return res.status(400).json({ error: "City required" });
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
 
   try {
-    const apiKey = process.env.OPEN_WEATHER_API_KEY || process.env.WEATHER_API_KEY;
-    
-    if (!apiKey) {
-      console.error('❌ Weather API key not configured');
-      return res.status(500).json({ error: "Weather service not configured" });
-    }
-    
-    const url = new URL("https://api.openweathermap.org/data/2.5/weather");
-    url.searchParams.set("q", city);
-    url.searchParams.set("appid", apiKey);
-    url.searchParams.set("units", "metric");
-
-    console.log(`🌤️ Fetching weather for: ${city}`);
-    const response = await fetch(url.toString());
-    const data = await response.json();
-
-    // Handle invalid response (city not found / quota exceeded / bad key)
-    if (!response.ok || !data.main) {
-      console.error('❌ Weather API error:', data.message || 'Unknown error');
-      return res.status(response.status || 404).json({
-        error: data.message || `Could not find weather for "${city}"`,
-      });
-    }
+    const { location, candidates, ambiguous } = await resolveRequestLocation(req.query);
+
+    console.log(`🌤️ Fetching weather for: ${formatLocationLabel(location)}`);
+    const current = convertUnits(await weatherProvider.getCurrent(location), units);
+
+    console.log(`✅ Weather data fetched for ${formatLocationLabel(location)}`);
+    return res.json({
+      ...toWeatherCard(current),
+      ...(ambiguous && { candidates }),
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- DAILY FORECAST API ----------------
+// Provider slots bucketed by the location's local date, first ?days= days (default 5)
+app.get("/api/weather/forecast", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  const days = intFromQuery(req.query.days, 5);
+  if (!Number.isInteger(days) || days < 1 || days > 5) {
+    return res.status(400).json({ error: "days must be a whole number between 1 and 5" });
+  }
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const { location } = await resolveRequestLocation(req.query);
+    const forecast = await weatherProvider.getForecast(location);
+    const daily = convertUnits(aggregateDaily(forecast), units);
 
-    console.log(`✅ Weather data fetched for ${city}`);
     return res.json({
-      city: data.name,
-      temp: data.main.temp,
-      humidity: data.main.humidity,
-      wind: data.wind.speed,
-      condition: data.weather?.[0]?.description || "Unknown",
+      city: daily.location.name,
+      location: daily.location,
+      days: daily.days.slice(0, days),
+      provider: daily.provider,
+      units: daily.units,
+      cache: daily.cache || null,
     });
   } catch (error) {
-    console.error("❌ Weather API error:", error.message);
-    return res.status(500).json({ 
-      error: "Unable to fetch weather",
-      details: error.message 
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- HOURLY FORECAST API ----------------
+// Next ?hours= hours (default 24, max 48) as time-of-day slots
+app.get("/api/weather/hourly", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  const hours = intFromQuery(req.query.hours, 24);
+  if (!Number.isInteger(hours) || hours < 1 || hours > 48) {
+    return res.status(400).json({ error: "hours must be a whole number between 1 and 48" });
+  }
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const { location } = await resolveRequestLocation(req.query);
+    const forecast = await weatherProvider.getForecast(location);
+    const hourly = convertUnits(hourlyForecast(forecast, hours), units);
+
+    return res.json({
+      city: hourly.location.name,
+      location: hourly.location,
+      intervalHours: hourly.intervalHours,
+      hours: hourly.hours,
+      slots: hourly.slots,
+      provider: hourly.provider,
+      units: hourly.units,
+      cache: hourly.cache || null,
     });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- AIR QUALITY API ----------------
+app.get("/api/air-quality", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  try {
+    const { location } = await resolveRequestLocation(req.query);
+    const summary = summarizeAirQuality(await weatherProvider.getAirQuality(location));
+
+    return res.json({
+      city: summary.location.name,
+      ...summary,
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- WEATHER ALERTS API ----------------
+app.get("/api/alerts", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const { location } = await resolveRequestLocation(req.query);
+    const result = await getActiveAlerts(weatherProvider, location, { units });
+
+    return res.json({
+      city: location.name,
+      ...result,
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- RECOMMENDATIONS API ----------------
+// What to wear, umbrella, exercise window, laundry, commute risk and activity scores for the next 24 h
+app.get("/api/recommendations", async (req, res) => {
+  if (!hasLocationQuery(req.query)) {
+    return res.status(400).json({ error: "City required" });
+  }
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const { location } = await resolveRequestLocation(req.query);
+    const recommendations = convertUnits(
+      await getRecommendations(weatherProvider, location, { rules: recommendationRules }),
+      units
+    );
+
+    return res.json({
+      city: recommendations.location.name,
+      ...recommendations,
+      cache: recommendations.cache || null,
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- TRIP PLANNER API ----------------
+// Body { legs: [{ city, startDate, endDate? }, ...], units? } - same place fields as the weather routes
+app.post("/api/plan", async (req, res) => {
+  const legs = req.body?.legs;
+  const legsError = validateItinerary(legs);
+  if (legsError) return res.status(400).json({ error: legsError });
+
+  const units = req.body?.units === undefined ? DEFAULT_UNITS : parseUnits(req.body.units);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const plan = convertUnits(await planTrip(weatherProvider, legs), units);
+    return res.json(plan);
+  } catch (error) {
+    return sendWeatherError(res, error);
+  }
+});
+
+// ---------------- COMPARE API ----------------
+// ?city=Pune&city=Mumbai (repeat for qualified names) or ?cities=Pune,Mumbai
+// Optional &from=YYYY-MM-DD&to=YYYY-MM-DD, &current=true adds current conditions, &units=
+app.get("/api/weather/compare", async (req, res) => {
+  const cities = [
+    ...[].concat(req.query.city || []),
+    ...(req.query.cities ? String(req.query.cities).split(",") : []),
+  ].map((c) => String(c).trim()).filter(Boolean);
+
+  if (cities.length < MIN_COMPARE_LOCATIONS || cities.length > MAX_COMPARE_LOCATIONS) {
+    return res.status(400).json({
+      error: `Between ${MIN_COMPARE_LOCATIONS} and ${MAX_COMPARE_LOCATIONS} cities required`,
+    });
+  }
+
+  const { from, to } = req.query;
+  const rangeError = validateDateRange(from, to, { from: "from", to: "to" });
+  if (rangeError) return res.status(400).json({ error: rangeError });
+
+  const units = unitsFromRequest(req.query);
+  if (!units) return res.status(400).json(UNITS_ERROR);
+
+  try {
+    const comparison = await compareWeather(
+      weatherProvider,
+      cities.map((city) => ({ city })),
+      { from, to, includeCurrent: req.query.current === "true" }
+    );
+    const { rows, highlights } = convertUnits(comparison, units);
+
+    return res.json({
+      locations: rows.map(({ current, ...row }) => ({
+        ...row,
+        ...(current && { current: toWeatherCard({ ...current, units: describeUnits(units) }) }),
+      })),
+      highlights,
+      units: describeUnits(units),
+    });
+  } catch (error) {
+    return sendWeatherError(res, error);
   }
 });
 
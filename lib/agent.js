@@ -0,0 +1,149 @@
+// lib/agent.js
+// Streaming tool-calling loop: stream the model, run the tools it requests, repeat until it answers
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+
+export const DEFAULT_MAX_STEPS = 5;
+export const DEFAULT_TOOL_TIMEOUT_MS = 15 * 1000;
+
+export class ToolTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`${name} timed out after ${timeoutMs / 1000}s`);
+    this.name = "ToolTimeoutError";
+  }
+}
+
+/**
+ * Stream model/tool steps until the model answers without tool calls. Every
+ * step is one streaming call on the tool-bound model: text is forwarded to
+ * onToken as it arrives and tool-call chunks are assembled into tool calls,
+ * so a turn without tools costs a single completion. After `maxSteps` tool
+ * rounds the answer is streamed from `finalModel`, which has no tools.
+ * AI tool-call messages and ToolMessages are appended to `messages` in place.
+ *
+ * model        - chat model with tools bound
+ * finalModel   - the same model without tools, used once the step cap is hit
+ * toolsByName  - { [name]: tool }
+ * config       - RunnableConfig passed to every tool (e.g. configurable.units)
+ * timeouts     - per-tool overrides of toolTimeoutMs, { [name]: ms }
+ * signal       - AbortSignal; aborting stops the model stream and any running tool
+ * onToken      - (text) for each streamed text delta
+ * onUsage      - (usage_metadata) after every model call, tool-call steps included
+ * onToolStart  - ({ step, call }) before a tool runs
+ * onToolEnd    - ({ step, call, toolMessage, error, durationMs }) after it settles
+ *
+ * Returns { steps, finished, answer } - finished is false when the step cap cut
+ * the loop short; answer is the closing message. Rejects with the signal's
+ * reason once it is aborted.
+ */
+export async function runToolLoop({
+  model,
+  finalModel = model,
+  messages,
+  toolsByName,
+  config = {},
+  maxSteps = DEFAULT_MAX_STEPS,
+  toolTimeoutMs = DEFAULT_TOOL_TIMEOUT_MS,
+  timeouts = {},
+  signal,
+  onToken = () => {},
+  onUsage = () => {},
+  onToolStart = () => {},
+  onToolEnd = () => {},
+}) {
+  for (let step = 1; ; step++) {
+    if (step > maxSteps) {
+      // A human turn - some providers (Google GenAI) only accept a system message first
+      messages.push(new HumanMessage("Tool step limit reached. Answer now with the information gathered so far."));
+      const answer = await streamStep(finalModel, messages, onToken, signal);
+      await onUsage(answer.usage_metadata);
+      return { steps: maxSteps, finished: false, answer };
+    }
+
+    const aiMessage = await streamStep(model, messages, onToken, signal);
+    await onUsage(aiMessage.usage_metadata);
+    if (!aiMessage.tool_calls?.length) return { steps: step - 1, finished: true, answer: aiMessage };
+
+    messages.push(aiMessage);
+
+    for (const call of aiMessage.tool_calls) {
+      signal?.throwIfAborted();
+      await onToolStart({ step, call });
+      const startedAt = Date.now();
+
+      let toolMessage;
+      let error = null;
+      try {
+        const selectedTool = toolsByName[call.name];
+        if (!selectedTool) throw new Error(`Unknown tool "${call.name}"`);
+
+        // Invoking with the tool call returns a ToolMessage carrying the artifact
+        toolMessage = await withTimeout(
+          selectedTool.invoke(call, { ...config, signal }),
+          timeouts[call.name] ?? toolTimeoutMs,
+          call.name,
+          signal
+        );
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        error = err;
+        toolMessage = new ToolMessage({
+          tool_call_id: call.id,
+          name: call.name,
+          content: `Tool ${call.name} failed: ${err.message}`,
+        });
+      }
+
+      messages.push(toolMessage);
+      await onToolEnd({ step, call, toolMessage, error, durationMs: Date.now() - startedAt });
+    }
+  }
+}
+
+/**
+ * One streaming completion: forward text deltas, merge chunks (tool_call_chunks
+ * included) and return the assembled AIMessage
+ */
+async function streamStep(model, messages, onToken, signal) {
+  let merged = null;
+
+  for await (const chunk of await model.stream(messages, { signal })) {
+    signal?.throwIfAborted();
+    merged = merged ? merged.concat(chunk) : chunk;
+
+    const text = chunkText(chunk.content);
+    if (text) await onToken(text);
+  }
+
+  return new AIMessage({
+    content: merged?.content ?? "",
+    tool_calls: merged?.tool_calls ?? [],
+    additional_kwargs: merged?.additional_kwargs ?? {},
+    response_metadata: merged?.response_metadata ?? {},
+    usage_metadata: merged?.usage_metadata,
+  });
+}
+
+function chunkText(content) {
+  if (!content) return "";
+  if (typeof content === "string") return content;
+  return content.map((c) => (c.type === "text" || c.text ? c.text || "" : "")).join("");
+}
+
+// Settles with the tool, a ToolTimeoutError or the abort reason, whichever comes first
+async function withTimeout(promise, timeoutMs, name, signal) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ToolTimeoutError(name, timeoutMs)), timeoutMs);
+    onAbort = () => reject(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+  try {
+    signal?.throwIfAborted();
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
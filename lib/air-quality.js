@@ -0,0 +1,115 @@
+// lib/air-quality.js
+// AQI and UV classification for normalized air quality readings
+//
+// AQI follows India's National Air Quality Index (CPCB): a sub-index per
+// pollutant from concentration breakpoints in µg/m³, overall AQI = worst
+// sub-index. Readings are instantaneous, so treat the result as indicative.
+
+const CATEGORIES = [
+  {
+    max: 50,
+    category: "Good",
+    advice: "Air quality is good. Outdoor activity is fine for everyone.",
+  },
+  {
+    max: 100,
+    category: "Satisfactory",
+    advice: "Acceptable. Unusually sensitive people may notice minor breathing discomfort.",
+  },
+  {
+    max: 200,
+    category: "Moderately polluted",
+    advice: "People with asthma, heart or lung conditions, children and older adults should cut down on long or strenuous outdoor exertion.",
+  },
+  {
+    max: 300,
+    category: "Poor",
+    advice: "Breathing discomfort on prolonged exposure. Avoid strenuous outdoor exercise such as a morning run; sensitive groups should stay indoors.",
+  },
+  {
+    max: 400,
+    category: "Very poor",
+    advice: "Respiratory illness on prolonged exposure. Everyone should avoid outdoor exercise; wear an N95 mask outside.",
+  },
+  {
+    max: Infinity,
+    category: "Severe",
+    advice: "Affects healthy people and seriously impacts those with existing conditions. Stay indoors and keep windows closed.",
+  },
+];
+
+// [concentration low, high] per AQI band (0-50, 51-100, 101-200, 201-300, 301-400, 401-500)
+const BREAKPOINTS = {
+  pm2_5: [[0, 30], [31, 60], [61, 90], [91, 120], [121, 250], [251, 380]],
+  pm10: [[0, 50], [51, 100], [101, 250], [251, 350], [351, 430], [431, 510]],
+  no2: [[0, 40], [41, 80], [81, 180], [181, 280], [281, 400], [401, 520]],
+  o3: [[0, 50], [51, 100], [101, 168], [169, 208], [209, 748], [749, 1000]],
+};
+
+const AQI_BANDS = [[0, 50], [51, 100], [101, 200], [201, 300], [301, 400], [401, 500]];
+
+const UV_CATEGORIES = [
+  { max: 2, category: "Low", advice: "No protection needed." },
+  { max: 5, category: "Moderate", advice: "Wear sunglasses and sunscreen around midday." },
+  { max: 7, category: "High", advice: "Cover up, use SPF 30+ and seek shade from 11am to 4pm." },
+  { max: 10, category: "Very high", advice: "Avoid the midday sun; shirt, hat, sunscreen and shade are a must." },
+  { max: Infinity, category: "Extreme", advice: "Stay out of the sun around midday; unprotected skin burns in minutes." },
+];
+
+/**
+ * Sub-index (0-500) for one pollutant concentration, null when unknown
+ */
+export function subIndex(pollutant, concentration) {
+  const bands = BREAKPOINTS[pollutant];
+  if (!bands || concentration == null) return null;
+
+  // NAQI breakpoints are integers; round so values between bands land in one
+  const c = Math.round(concentration);
+  const band = bands.findIndex(([, high]) => c <= high);
+  if (band === -1) return 500;
+
+  const [cLow, cHigh] = bands[band];
+  const [iLow, iHigh] = AQI_BANDS[band];
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (c - cLow) + iLow);
+}
+
+export function uvCategory(uvIndex) {
+  if (uvIndex == null) return null;
+  const { category, advice } = UV_CATEGORIES.find((c) => uvIndex <= c.max);
+  return { value: uvIndex, category, advice };
+}
+
+/**
+ * Add AQI, category and health advice to a provider air quality reading:
+ * { location, observedAt, pollutants, uvIndex, provider }
+ */
+export function summarizeAirQuality(reading) {
+  const subIndices = {};
+  for (const pollutant of Object.keys(BREAKPOINTS)) {
+    const value = subIndex(pollutant, reading.pollutants[pollutant]);
+    if (value != null) subIndices[pollutant] = value;
+  }
+
+  const entries = Object.entries(subIndices);
+  const [dominantPollutant, aqi] = entries.length
+    ? entries.sort((a, b) => b[1] - a[1])[0]
+    : [null, null];
+  const band = aqi == null ? null : CATEGORIES.find((c) => aqi <= c.max);
+
+  return {
+    location: reading.location,
+    observedAt: reading.observedAt,
+    aqi: {
+      value: aqi,
+      scale: "NAQI",
+      category: band?.category || "Unknown",
+      advice: band?.advice || null,
+      dominantPollutant,
+      subIndices,
+    },
+    pollutants: reading.pollutants,
+    uv: uvCategory(reading.uvIndex),
+    provider: reading.provider,
+    ...(reading.cache && { cache: reading.cache }),
+  };
+}
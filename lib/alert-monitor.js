@@ -0,0 +1,85 @@
+// lib/alert-monitor.js
+// Pushes active weather alerts to conversations over SSE, keyed on each
+// conversation's last resolved location
+import { getActiveAlerts } from "./alerts.js";
+import { formatLocationLabel } from "./geocoding.js";
+
+export class AlertMonitor {
+  /**
+   * getLocation(conversationId) resolves to { location, units } - the conversation's
+   * lastLocation (or null) and unit system.
+   * `provider` should be the cached one (lib/weather-cache.js) so every open tab
+   * in the same city costs one upstream call per cache TTL.
+   */
+  constructor({ provider, sseManager, getLocation }) {
+    this.provider = provider;
+    this.sseManager = sseManager;
+    this.getLocation = getLocation;
+    this.sent = new Map(); // conversationId -> Set<alertId>
+    this.timer = null;
+  }
+
+  /**
+   * Check one conversation. With `res`, every active alert is sent to that
+   * client (fresh connection); otherwise only alerts the conversation has
+   * not seen yet are broadcast.
+   */
+  async check(conversationId, res = null) {
+    const { location, units } = (await this.getLocation(conversationId)) || {};
+    if (location?.lat == null || location?.lon == null) return;
+
+    const { alerts, source } = await getActiveAlerts(this.provider, location, { units });
+    if (!this.sent.has(conversationId)) this.sent.set(conversationId, new Set());
+    const seen = this.sent.get(conversationId);
+
+    const fresh = res ? alerts : alerts.filter((a) => !seen.has(a.id));
+    if (fresh.length === 0) return;
+
+    const event = {
+      type: "alert",
+      location: { ...location, label: formatLocationLabel(location) },
+      alerts: fresh,
+      source,
+    };
+
+    if (res) {
+      this.sseManager.sendToClient(res, 'message', event);
+    } else {
+      console.log(`⚠️ Broadcasting ${fresh.length} alert(s) to ${conversationId}`);
+      this.sseManager.broadcast(conversationId, 'message', event);
+    }
+    for (const alert of fresh) seen.add(alert.id);
+  }
+
+  /**
+   * Check every conversation with a connected client
+   */
+  async sweep() {
+    for (const conversationId of this.sseManager.connections.keys()) {
+      try {
+        await this.check(conversationId);
+      } catch (err) {
+        console.error(`❌ Alert check failed for ${conversationId}:`, err.message);
+      }
+    }
+
+    // Forget conversations nobody is watching any more
+    for (const conversationId of this.sent.keys()) {
+      if (!this.sseManager.connections.has(conversationId)) {
+        this.sent.delete(conversationId);
+      }
+    }
+  }
+
+  start(intervalMs = 10 * 60 * 1000) {
+    this.stop();
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
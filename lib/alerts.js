@@ -0,0 +1,142 @@
+// lib/alerts.js
+// Severe weather alerts - official provider feeds, with forecast-derived
+// warnings as a fallback for providers that have no alert feed
+import { localDate } from "./forecast.js";
+import { convertUnits, describeUnits } from "./units.js";
+
+export const SEVERITIES = ["minor", "moderate", "severe", "extreme"];
+
+// Keywords in an alert title -> severity, checked in order
+const SEVERITY_KEYWORDS = [
+  [/\bred\b|extreme|emergency/i, "extreme"],
+  [/\borange\b|warning|severe/i, "severe"],
+  [/\byellow\b|watch/i, "moderate"],
+  [/advisory|statement|\bgreen\b/i, "minor"],
+];
+
+// Daily thresholds for derived alerts (metric), loosely following IMD criteria.
+// metric is a normalized field name so the value converts with lib/units.js;
+// quantity picks its label from describeUnits.
+const DERIVED_RULES = [
+  {
+    metric: "rain",
+    event: "Heavy rain",
+    quantity: "precipitation",
+    levels: [[204.5, "extreme"], [115.6, "severe"], [64.5, "moderate"]],
+  },
+  {
+    metric: "tempMax",
+    event: "Heatwave",
+    quantity: "temperature",
+    levels: [[47, "extreme"], [45, "severe"], [40, "moderate"]],
+  },
+  {
+    metric: "windGust",
+    event: "Strong winds",
+    quantity: "speed",
+    levels: [[24.5, "severe"], [17, "moderate"]],
+  },
+];
+
+/**
+ * Map a vendor severity or an alert title to minor/moderate/severe/extreme
+ */
+export function normalizeSeverity(severity, event = "") {
+  const value = String(severity || "").toLowerCase();
+  if (SEVERITIES.includes(value)) return value;
+
+  const match = SEVERITY_KEYWORDS.find(([pattern]) => pattern.test(event));
+  return match ? match[1] : "moderate";
+}
+
+/**
+ * Normalize one alert: { id, event, severity, start, end, description, sender, source }
+ */
+export function normalizeAlert(alert, source = "official") {
+  const event = alert.event || "Weather alert";
+  return {
+    id: alert.id || `${event}:${alert.start}`.toLowerCase().replace(/[^a-z0-9:]+/g, "-"),
+    event,
+    severity: normalizeSeverity(alert.severity, event),
+    start: alert.start,
+    end: alert.end,
+    description: alert.description || "",
+    sender: alert.sender || null,
+    source,
+  };
+}
+
+/**
+ * Warnings derived from a normalized forecast, one per rule per local day.
+ * Values in the descriptions are given in `units` (see lib/units.js).
+ */
+export function deriveAlerts(forecast, units = "metric") {
+  const { name, timezoneOffset = 0 } = forecast.location;
+  const labels = describeUnits(units);
+  const days = new Map(); // local date -> { rain, tempMax, windGust, thunder, start, end }
+
+  for (const slot of forecast.slots) {
+    const date = localDate(slot.time, timezoneOffset);
+    const day = days.get(date) || { rain: 0, tempMax: -Infinity, windGust: 0, thunder: false, start: slot.time };
+    day.rain += slot.rain || 0;
+    day.tempMax = Math.max(day.tempMax, slot.temp);
+    day.windGust = Math.max(day.windGust, slot.windGust ?? slot.windSpeed ?? 0);
+    day.thunder ||= slot.condition.main === "Thunderstorm";
+    day.end = new Date(Date.parse(slot.time) + forecast.intervalHours * 3600 * 1000).toISOString();
+    days.set(date, day);
+  }
+
+  const alerts = [];
+  for (const [date, day] of days) {
+    for (const rule of DERIVED_RULES) {
+      const level = rule.levels.find(([threshold]) => day[rule.metric] >= threshold);
+      if (!level) continue;
+      const value = convertUnits({ [rule.metric]: day[rule.metric] }, units)[rule.metric];
+      alerts.push(normalizeAlert({
+        id: `derived-${rule.metric}-${date}`,
+        event: rule.event,
+        severity: level[1],
+        start: day.start,
+        end: day.end,
+        description: `${rule.event} expected in ${name} on ${date}: ${value} ${labels[rule.quantity]} forecast.`,
+        sender: "Forecast model",
+      }, "derived"));
+    }
+    if (day.thunder) {
+      alerts.push(normalizeAlert({
+        id: `derived-thunderstorm-${date}`,
+        event: "Thunderstorm",
+        severity: "moderate",
+        start: day.start,
+        end: day.end,
+        description: `Thunderstorms forecast in ${name} on ${date}.`,
+        sender: "Forecast model",
+      }, "derived"));
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Alerts in effect now or later for a location, most severe first.
+ *
+ * Uses provider.getAlerts when the vendor has a feed (returns an array) and
+ * falls back to deriveAlerts (values in `units`) when it returns null. Returns
+ * { location, alerts, source: "official" | "derived", units }.
+ */
+export async function getActiveAlerts(provider, location, { units = "metric", now = Date.now() } = {}) {
+  let alerts = await provider.getAlerts(location);
+  let source = "official";
+
+  if (alerts == null) {
+    alerts = deriveAlerts(await provider.getForecast(location), units);
+    source = "derived";
+  }
+
+  const active = alerts
+    .filter((a) => !a.end || Date.parse(a.end) > now)
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+
+  return { location, alerts: active, source, units: describeUnits(units) };
+}
@@ -0,0 +1,70 @@
+// lib/branches.js
+// Conversation branching - messages form a tree through parentId, currentLeafId picks the visible branch
+
+/**
+ * Copies of `messages` with parentId filled in. Messages saved before
+ * branching existed have none and hang off the message before them.
+ */
+export function linkMessages(messages = []) {
+  return messages.map((m, i) => ({
+    ...m,
+    parentId: m.parentId === undefined ? (messages[i - 1]?.id ?? null) : m.parentId,
+  }));
+}
+
+/**
+ * Messages from the root to `leafId` (linked messages). An unknown leaf
+ * falls back to the newest message.
+ */
+export function activePath(linked, leafId) {
+  const byId = new Map(linked.map((m) => [m.id, m]));
+  const path = [];
+  let current = byId.get(leafId) || linked[linked.length - 1];
+  while (current) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Deepest message under `messageId`, following the newest child at each level
+ */
+export function latestLeaf(linked, messageId) {
+  let leafId = messageId;
+  for (;;) {
+    const children = linked.filter((m) => m.parentId === leafId);
+    if (!children.length) return leafId;
+    leafId = children[children.length - 1].id;
+  }
+}
+
+/**
+ * Alternatives to a message: messages of the same type with the same parent, oldest first
+ */
+export function siblingsOf(linked, message) {
+  return linked.filter((m) => m.parentId === message.parentId && m.type === message.type);
+}
+
+/**
+ * Active branch for the client, each message with its sibling ids and position
+ * so the UI can show a "< 2/3 >" switcher
+ */
+export function branchView(messages, leafId) {
+  const linked = linkMessages(messages);
+  return activePath(linked, leafId).map((m) => {
+    const siblings = siblingsOf(linked, m);
+    return {
+      ...m,
+      siblingIds: siblings.map((s) => s.id),
+      siblingIndex: siblings.findIndex((s) => s.id === m.id),
+    };
+  });
+}
+
+/**
+ * Model history for a branch - user messages become human turns, bot messages ai turns
+ */
+export function historyFromPath(path) {
+  return path.map((m) => ({ type: m.type === "user" ? "human" : "ai", text: m.text }));
+}
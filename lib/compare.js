@@ -0,0 +1,116 @@
+// lib/compare.js
+// Side-by-side daily comparison of several locations over a date range
+import { aggregateDaily, localDate } from "./forecast.js";
+import { resolveLocation, formatLocationLabel } from "./geocoding.js";
+
+export const MIN_COMPARE_LOCATIONS = 2;
+export const MAX_COMPARE_LOCATIONS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily forecast for one location restricted to [from, to] (local dates).
+ * Without a range the whole forecast window from the location's today is used.
+ */
+export function dailyInRange(forecast, from, to) {
+  const daily = aggregateDaily(forecast);
+  const today = localDate(new Date().toISOString(), forecast.location.timezoneOffset);
+  const start = from || today;
+  const end = to || localDate(new Date(Date.now() + 4 * DAY_MS).toISOString(), forecast.location.timezoneOffset);
+
+  const days = daily.days.filter((d) => d.date >= start && d.date <= end);
+  const covered = new Set(days.map((d) => d.date));
+  const missing = [];
+  for (let t = Date.parse(start); t <= Date.parse(end); t += DAY_MS) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    if (!covered.has(date)) missing.push(date);
+  }
+
+  return { from: start, to: end, days, missing };
+}
+
+/**
+ * Roll a list of daily entries into one row of the comparison table
+ */
+export function summarizeDays(days) {
+  if (days.length === 0) return null;
+
+  const counts = new Map();
+  for (const d of days) {
+    counts.set(d.condition.main, (counts.get(d.condition.main) || 0) + 1);
+  }
+
+  return {
+    tempMin: Math.min(...days.map((d) => d.tempMin)),
+    tempMax: Math.max(...days.map((d) => d.tempMax)),
+    rain: Math.round(days.reduce((a, d) => a + d.rain, 0) * 10) / 10,
+    snow: Math.round(days.reduce((a, d) => a + d.snow, 0) * 10) / 10,
+    pop: Math.max(...days.map((d) => d.pop)),
+    windMax: Math.max(...days.map((d) => d.windMax)),
+    rainyDays: days.filter((d) => d.pop >= 0.5 && d.rain >= 1).length,
+    condition: [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0],
+  };
+}
+
+/**
+ * Which row is warmest / coolest / wettest / driest / windiest
+ */
+export function compareHighlights(rows) {
+  const usable = rows.filter((r) => r.summary);
+  if (usable.length < 2) return {};
+
+  const pick = (fn, dir) =>
+    usable.reduce((best, r) => (dir * (fn(r) - fn(best)) > 0 ? r : best)).location.name;
+
+  return {
+    warmest: pick((r) => r.summary.tempMax, 1),
+    coolest: pick((r) => r.summary.tempMax, -1),
+    wettest: pick((r) => r.summary.rain, 1),
+    driest: pick((r) => r.summary.rain, -1),
+    windiest: pick((r) => r.summary.windMax, 1),
+  };
+}
+
+/**
+ * Compare 2-10 location queries (same shape resolveLocation takes).
+ *
+ * Locations are fetched in parallel; a location that fails gets an `error`
+ * on its row instead of failing the whole comparison. With includeCurrent
+ * each row also carries current conditions.
+ */
+export async function compareWeather(provider, queries, { from, to, includeCurrent = false } = {}) {
+  const rows = await Promise.all(
+    queries.map(async (query) => {
+      const label = query.city || query.postalCode || `${query.lat}, ${query.lon}`;
+      try {
+        const resolution = await resolveLocation(provider, query);
+        if (!resolution.location) {
+          return { query: label, location: null, error: `No place matches "${label}"`, candidates: resolution.candidates };
+        }
+
+        const [forecast, current] = await Promise.all([
+          provider.getForecast(resolution.location),
+          includeCurrent ? provider.getCurrent(resolution.location) : null,
+        ]);
+        const range = dailyInRange(forecast, from, to);
+
+        return {
+          query: label,
+          location: { ...forecast.location, label: formatLocationLabel(forecast.location) },
+          ambiguous: resolution.ambiguous,
+          ...(resolution.ambiguous && { candidates: resolution.candidates }),
+          ...(current && { current }),
+          from: range.from,
+          to: range.to,
+          days: range.days,
+          missing: range.missing,
+          summary: summarizeDays(range.days),
+        };
+      } catch (err) {
+        return { query: label, location: null, error: err.message, code: err.code };
+      }
+    })
+  );
+
+  return { rows, highlights: compareHighlights(rows) };
+}
@@ -0,0 +1,109 @@
+// lib/context.js
+// Prompt context builder: recent turns within a token budget, older turns folded into a rolling summary
+import { AIMessage, HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { contextView } from "./conversation-context.js";
+
+export const DEFAULT_HISTORY_BUDGET = 3000;
+
+// Per-message framing (role, separators) on top of the text itself
+const MESSAGE_OVERHEAD = 4;
+
+const SUMMARY_PROMPT = `
+You maintain a running summary of a conversation between a user and a weather assistant.
+Merge the new turns into the existing summary. Keep places, dates, units, preferences and
+plans the user mentioned, and any answers they may refer back to. Drop small talk and exact
+numbers that are no longer relevant. Reply with the summary only, at most 150 words.
+`;
+
+/**
+ * Rough token count (~4 characters per token). Close enough for budgeting
+ * across providers without shipping a tokenizer per model.
+ */
+export function estimateTokens(text = "") {
+  return Math.ceil(text.length / 4) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * Index of the oldest history entry that fits in `budget` tokens counting back
+ * from the newest. The cut always lands on a human entry so turns stay whole.
+ */
+export function windowStart(history, budget) {
+  let used = 0;
+  let start = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    used += estimateTokens(history[i].text);
+    if (used > budget) break;
+    if (history[i].type === "human") start = i;
+  }
+  return start;
+}
+
+/**
+ * Prompt messages for one turn:
+ *   system prompt + conversation context (lib/conversation-context.js) + rolling summary, always kept
+ *   recent history, newest first until `budget` tokens of it are used
+ *   the user's message
+ * Entries already folded into the summary (summary.turns) are never replayed.
+ *
+ * Returns { messages, start, dropped, tokens } - dropped counts entries that
+ * fell out of the window without being summarized yet.
+ */
+export function buildContext({ systemPrompt, summary, context, history = [], userMessage, budget = DEFAULT_HISTORY_BUDGET }) {
+  let system = systemPrompt;
+  if (context) {
+    const { updatedAt, ...current } = contextView(context);
+    system += `\nConversation context: ${JSON.stringify(current)}`;
+  }
+  if (summary?.text) {
+    system += `\n\nSummary of the earlier conversation:\n${summary.text}`;
+  }
+
+  const folded = Math.min(summary?.turns || 0, history.length);
+  const start = Math.max(windowStart(history, budget), folded);
+
+  const messages = [new SystemMessage(system)];
+  let tokens = estimateTokens(system) + estimateTokens(userMessage);
+  for (const m of history.slice(start)) {
+    if (m.type === "human") messages.push(new HumanMessage(m.text));
+    if (m.type === "ai") messages.push(new AIMessage(m.text));
+    tokens += estimateTokens(m.text);
+  }
+  messages.push(new HumanMessage(userMessage));
+
+  return { messages, start, dropped: start - folded, tokens };
+}
+
+/**
+ * Fold history that no longer fits into the rolling summary. Runs once the
+ * unsummarized history exceeds `budget`, and then summarizes down to half of
+ * it so the model isn't called on every turn.
+ *
+ * Returns the new { text, turns, updatedAt }, or null when nothing needs folding.
+ * onUsage gets the summarization call's usage_metadata.
+ */
+export async function foldHistory({ llm, summary, history = [], budget = DEFAULT_HISTORY_BUDGET, onUsage = () => {} }) {
+  const folded = Math.min(summary?.turns || 0, history.length);
+  const pending = history.slice(folded).reduce((sum, m) => sum + estimateTokens(m.text), 0);
+  if (pending <= budget) return null;
+
+  const cut = windowStart(history, budget / 2);
+  if (cut <= folded) return null;
+
+  const transcript = history
+    .slice(folded, cut)
+    .map((m) => `${m.type === "human" ? "User" : "Assistant"}: ${m.text}`)
+    .join("\n");
+
+  const response = await llm.invoke([
+    new SystemMessage(SUMMARY_PROMPT),
+    new HumanMessage(`Summary so far:\n${summary?.text || "(none)"}\n\nNew turns:\n${transcript}`),
+  ]);
+  await onUsage(response.usage_metadata);
+
+  const text = typeof response.content === "string"
+    ? response.content
+    : response.content.map((c) => c.text || "").join("");
+  if (!text.trim()) return null;
+
+  return { text: text.trim(), turns: cut, updatedAt: new Date() };
+}
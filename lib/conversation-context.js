@@ -0,0 +1,121 @@
+// lib/conversation-context.js
+// What a conversation is about right now - place, data type, dates - so follow-ups can leave them out
+import { resolveLocation, formatLocationLabel } from "./geocoding.js";
+
+export const DATA_TYPES = ["current", "forecast", "hourly", "air_quality", "alerts", "history", "compare", "recommendations", "trip"];
+
+/**
+ * Context for a conversation document: the last resolved location (lastLocation),
+ * the last data type and dates looked up, and the unit system
+ */
+export function conversationContext(conversation, defaultUnits = "metric") {
+  // Plain copies - works for lean results and mongoose documents alike
+  const location = conversation?.lastLocation;
+  const date = conversation?.context?.date;
+  return {
+    location: location
+      ? { name: location.name, state: location.state, country: location.country, lat: location.lat, lon: location.lon }
+      : null,
+    dataType: conversation?.context?.dataType || null,
+    date: date?.from ? { from: date.from, to: date.to } : null,
+    units: conversation?.units || defaultUnits,
+    updatedAt: conversation?.context?.updatedAt || null,
+  };
+}
+
+/**
+ * True when a tool call names a place itself
+ */
+export function hasPlace(query = {}) {
+  return Boolean(query.city || query.postalCode || (query.lat != null && query.lon != null));
+}
+
+/**
+ * resolveLocation for a tool call, using the context location when the call names no place
+ */
+export async function resolveWithContext(provider, query, context) {
+  if (!hasPlace(query) && context?.location) {
+    const location = context.location;
+    return { location, candidates: [location], ambiguous: false };
+  }
+  return resolveLocation(provider, query);
+}
+
+/**
+ * Place name for tool messages - what the call asked for, or the context place
+ */
+export function queryLabel(query, context) {
+  if (!hasPlace(query) && context?.location) return formatLocationLabel(context.location);
+  return query.city || query.postalCode || `${query.lat}, ${query.lon}`;
+}
+
+/**
+ * Context after a successful tool call. Dates are kept only for lookups that
+ * take them (history, compare, trip); the location changes when the tool resolved
+ * a different place.
+ */
+export function nextContext(context, { name, args = {}, artifact = {} }) {
+  const next = { ...context, updatedAt: new Date() };
+
+  switch (name) {
+    case "get_weather":
+      next.dataType = args.type || "current";
+      next.date = null;
+      break;
+    case "get_air_quality":
+      next.dataType = "air_quality";
+      next.date = null;
+      break;
+    case "get_weather_alerts":
+      next.dataType = "alerts";
+      next.date = null;
+      break;
+    case "get_historical_weather":
+      next.dataType = "history";
+      next.date = artifact.from ? { from: artifact.from, to: artifact.to || artifact.from } : null;
+      break;
+    case "plan_trip": {
+      const legs = args.legs || [];
+      next.dataType = "trip";
+      next.date = legs.length
+        ? {
+          from: legs.map((l) => l.startDate).sort()[0],
+          to: legs.map((l) => l.endDate || l.startDate).sort().at(-1),
+        }
+        : null;
+      break;
+    }
+    case "get_recommendations":
+      next.dataType = "recommendations";
+      next.date = null;
+      break;
+    case "compare_weather":
+      next.dataType = "compare";
+      next.date = args.startDate ? { from: args.startDate, to: args.endDate || args.startDate } : null;
+      break;
+    default:
+      return context;
+  }
+
+  // The same place keeps its object, so callers can spot a move with !==
+  const same = context.location &&
+    artifact.location?.lat === context.location.lat && artifact.location?.lon === context.location.lon;
+  if (artifact.location && !same) {
+    const { name: place, state, country, lat, lon } = artifact.location;
+    next.location = { name: place, state, country, lat, lon };
+  }
+  return next;
+}
+
+/**
+ * Public shape for GET /api/conversations/:id/context and the prompt
+ */
+export function contextView(context) {
+  return {
+    location: context.location ? { ...context.location, label: formatLocationLabel(context.location) } : null,
+    dataType: context.dataType,
+    date: context.date,
+    units: context.units,
+    updatedAt: context.updatedAt,
+  };
+}
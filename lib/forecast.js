@@ -0,0 +1,161 @@
+// lib/forecast.js
+// Forecast aggregation - local-day buckets and upcoming hourly slots
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When two conditions cover the same number of slots, the more severe one wins
+const SEVERITY = [
+  "Thunderstorm",
+  "Snow",
+  "Rain",
+  "Drizzle",
+  "Fog",
+  "Mist",
+  "Haze",
+  "Smoke",
+  "Dust",
+  "Clouds",
+  "Clear",
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate an optional YYYY-MM-DD range; returns an error message or null.
+ * `names` are the parameter names the caller's messages should use.
+ */
+export function validateDateRange(from, to, names = { from: "startDate", to: "endDate" }) {
+  if (from && !DATE_RE.test(from)) return `${names.from} must be YYYY-MM-DD`;
+  if (to && !DATE_RE.test(to)) return `${names.to} must be YYYY-MM-DD`;
+  if (from && to && to < from) return `${names.to} must not be before ${names.from}`;
+  return null;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an ISO time for a UTC offset in seconds
+ */
+export function localDate(iso, timezoneOffset = 0) {
+  return new Date(Date.parse(iso) + timezoneOffset * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Aggregate a normalized forecast into daily summaries.
+ *
+ * Each day: { date, tempMin, tempMax, condition, rain, snow, windMax, pop,
+ * hoursCovered }. Dates are local to the forecast location; hoursCovered < 24
+ * marks the partial first/last day of the provider's window.
+ */
+export function aggregateDaily(forecast) {
+  const { timezoneOffset = 0 } = forecast.location;
+  const buckets = new Map(); // local date -> slots
+
+  for (const slot of forecast.slots) {
+    const date = localDate(slot.time, timezoneOffset);
+    if (!buckets.has(date)) buckets.set(date, []);
+    buckets.get(date).push(slot);
+  }
+
+  const days = [];
+  for (const [date, slots] of buckets) {
+    days.push({
+      date,
+      tempMin: round(Math.min(...slots.map((s) => s.temp))),
+      tempMax: round(Math.max(...slots.map((s) => s.temp))),
+      condition: dominantCondition(slots),
+      rain: round(sum(slots.map((s) => s.rain || 0))),
+      snow: round(sum(slots.map((s) => s.snow || 0))),
+      windMax: round(Math.max(...slots.map((s) => s.windSpeed ?? 0))),
+      pop: Math.round(Math.max(...slots.map((s) => s.pop ?? 0)) * 100) / 100,
+      hoursCovered: Math.min(24, slots.length * forecast.intervalHours),
+    });
+  }
+
+  return {
+    location: forecast.location,
+    days,
+    provider: forecast.provider,
+    ...(forecast.cache && { cache: forecast.cache }),
+  };
+}
+
+/**
+ * The condition covering most of the day, preferring the more severe on ties
+ */
+function dominantCondition(slots) {
+  const groups = new Map(); // main -> slots
+  for (const slot of slots) {
+    const main = slot.condition.main;
+    if (!groups.has(main)) groups.set(main, []);
+    groups.get(main).push(slot);
+  }
+
+  const rank = (main) => {
+    const i = SEVERITY.indexOf(main);
+    return i === -1 ? SEVERITY.length : i;
+  };
+
+  const [main, group] = [...groups.entries()].sort(
+    ([a, as], [b, bs]) => bs.length - as.length || rank(a) - rank(b)
+  )[0];
+
+  // Most frequent description within the winning group, with a daytime icon
+  const counts = new Map();
+  for (const slot of group) {
+    counts.set(slot.condition.description, (counts.get(slot.condition.description) || 0) + 1);
+  }
+  const description = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const icon = group.find((s) => s.condition.description === description).condition.icon;
+
+  return { main, description, icon: icon ? icon.replace(/n$/, "d") : null };
+}
+
+/**
+ * The next `hours` hours of a normalized forecast as time-of-day slots.
+ *
+ * The slot in progress is kept so "now" is always covered. Each slot gets a
+ * localTime ("YYYY-MM-DD HH:mm", location time) so the model can answer
+ * "at 6pm" questions without doing timezone maths.
+ */
+export function hourlyForecast(forecast, hours = 24, from = Date.now()) {
+  const { timezoneOffset = 0 } = forecast.location;
+  const until = from + hours * HOUR_MS;
+
+  const slots = forecast.slots
+    .filter((s) => {
+      const t = Date.parse(s.time);
+      return t + forecast.intervalHours * HOUR_MS > from && t < until;
+    })
+    .map((s) => ({
+      time: s.time,
+      localTime: new Date(Date.parse(s.time) + timezoneOffset * 1000)
+        .toISOString()
+        .slice(0, 16)
+        .replace("T", " "),
+      temp: s.temp,
+      feelsLike: s.feelsLike,
+      humidity: s.humidity,
+      windSpeed: s.windSpeed,
+      windGust: s.windGust,
+      pop: s.pop,
+      rain: s.rain,
+      snow: s.snow,
+      condition: s.condition,
+    }));
+
+  return {
+    location: forecast.location,
+    intervalHours: forecast.intervalHours,
+    hours,
+    slots,
+    provider: forecast.provider,
+    ...(forecast.cache && { cache: forecast.cache }),
+  };
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -0,0 +1,157 @@
+// lib/geocoding.js
+// Location resolution: free text, "city, state, country", postal codes and lat/lon
+import { WeatherProviderError } from "./providers/base.js";
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// Two candidates closer than this are treated as the same place
+const SAME_PLACE_KM = 25;
+
+/**
+ * Split "city, state, country" (or "city, country") into its parts
+ */
+export function parseLocationQuery(text) {
+  const parts = String(text || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  if (parts.length >= 3) {
+    return { city: parts[0], state: parts[1], country: parts[parts.length - 1] };
+  }
+  if (parts.length === 2) {
+    // Could be a state or a country - matched against both later
+    return { city: parts[0], region: parts[1] };
+  }
+  return { city: parts[0] };
+}
+
+/**
+ * "Aurangabad, Maharashtra, IN"
+ */
+export function formatLocationLabel(location) {
+  if (!location) return "";
+  if (!location.name) return `${location.lat}, ${location.lon}`;
+  return [location.name, location.state, location.country].filter(Boolean).join(", ");
+}
+
+/**
+ * Resolve user input to a single location plus ranked alternatives.
+ *
+ * Returns { location, candidates, ambiguous }. `location` is the best match
+ * (null when qualifiers ruled out every candidate), `candidates` the distinct
+ * matches in provider ranking order, `ambiguous` is true when more than one
+ * distinct place fits what the user gave us.
+ */
+export async function resolveLocation(provider, input = {}) {
+  const lat = toNumber(input.lat);
+  const lon = toNumber(input.lon);
+
+  if (lat != null && lon != null) {
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new WeatherProviderError("Latitude/longitude out of range", {
+        code: "invalid_location",
+        status: 400,
+      });
+    }
+    const location = { name: input.city || null, state: null, country: null, lat, lon };
+    return { location, candidates: [location], ambiguous: false };
+  }
+
+  if (input.postalCode) {
+    const candidates = await provider.geocode({
+      postalCode: String(input.postalCode).trim(),
+      country: input.country,
+    });
+    if (!candidates.length) {
+      throw new WeatherProviderError(`Could not find postal code "${input.postalCode}"`, {
+        code: "not_found",
+        status: 404,
+      });
+    }
+    return { location: candidates[0], candidates: candidates.slice(0, 1), ambiguous: false };
+  }
+
+  const parsed = parseLocationQuery(input.city);
+  const city = parsed.city;
+  const state = input.state || parsed.state;
+  const country = input.country || parsed.country;
+  const region = parsed.region;
+
+  if (!city) {
+    throw new WeatherProviderError("A city, postal code or lat/lon is required", {
+      code: "invalid_location",
+      status: 400,
+    });
+  }
+
+  const found = dedupe(await provider.geocode({ city }));
+  if (!found.length) {
+    throw new WeatherProviderError(`Could not find a place called "${city}"`, {
+      code: "not_found",
+      status: 404,
+    });
+  }
+
+  const matching = found.filter(
+    (c) =>
+      (!state || matchesState(c, state)) &&
+      (!country || matchesCountry(c, country)) &&
+      (!region || matchesState(c, region) || matchesCountry(c, region))
+  );
+
+  if (!matching.length) {
+    // Qualifiers excluded everything - let the caller show what does exist
+    return { location: null, candidates: found, ambiguous: true };
+  }
+
+  return { location: matching[0], candidates: matching, ambiguous: matching.length > 1 };
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function matchesCountry(candidate, query) {
+  const q = query.trim().toLowerCase();
+  const code = (candidate.country || "").toLowerCase();
+  if (!code) return false;
+  if (code === q) return true;
+  const name = (regionNames.of(code.toUpperCase()) || "").toLowerCase();
+  return name === q || (q.length > 3 && name.startsWith(q));
+}
+
+function matchesState(candidate, query) {
+  const q = query.trim().toLowerCase();
+  const state = (candidate.state || "").toLowerCase();
+  return Boolean(state) && (state === q || (q.length > 2 && state.startsWith(q)));
+}
+
+function dedupe(candidates) {
+  const distinct = [];
+  for (const c of candidates) {
+    const duplicate = distinct.some(
+      (d) =>
+        d.country === c.country &&
+        (d.state === c.state || !d.state || !c.state) &&
+        distanceKm(d, c) < SAME_PLACE_KM
+    );
+    if (!duplicate) distinct.push(c);
+  }
+  return distinct;
+}
+
+/**
+ * Great-circle distance between two { lat, lon } points
+ */
+export function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
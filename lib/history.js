@@ -0,0 +1,65 @@
+// lib/history.js
+// Historical weather lookups - validates the range, then asks the provider
+import { WeatherProviderError } from "./providers/base.js";
+import { localDate, validateDateRange } from "./forecast.js";
+
+export const MAX_HISTORY_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Observed daily weather for a resolved location between two local dates.
+ *
+ * Accepts { date } for a single day or { from, to }. Dates must be before
+ * today (local to the location) and span at most MAX_HISTORY_DAYS. Returns
+ * { location, from, to, days, missing, provider } where days share the shape
+ * of lib/forecast.js aggregateDaily so past and forecast days compare directly.
+ */
+export async function getHistoricalWeather(provider, location, { date, from, to }) {
+  const start = from || date;
+  const end = to || date || from;
+
+  const rangeError = !start
+    ? "a date or startDate is required"
+    : validateDateRange(start, end);
+  if (rangeError) {
+    throw new WeatherProviderError(rangeError, { code: "invalid_date", status: 400 });
+  }
+
+  // The provider reports the offset, but we need "today" before asking it;
+  // the location's longitude is a good enough stand-in for the date check
+  const today = localDate(new Date().toISOString(), Math.round(location.lon / 15) * 3600);
+  if (end >= today) {
+    throw new WeatherProviderError(`History only covers days before today (${today}); use the forecast for today onwards`, {
+      code: "invalid_date",
+      status: 400,
+    });
+  }
+
+  const span = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+  if (span > MAX_HISTORY_DAYS) {
+    throw new WeatherProviderError(`History ranges are limited to ${MAX_HISTORY_DAYS} days`, {
+      code: "invalid_date",
+      status: 400,
+    });
+  }
+
+  const history = await provider.getHistory(location, { from: start, to: end });
+
+  const covered = new Set(history.days.map((d) => d.date));
+  const missing = [];
+  for (let t = Date.parse(start); t <= Date.parse(end); t += DAY_MS) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    if (!covered.has(day)) missing.push(day);
+  }
+
+  return {
+    location: history.location,
+    from: start,
+    to: end,
+    days: history.days,
+    missing,
+    provider: history.provider,
+    ...(history.cache && { cache: history.cache }),
+  };
+}
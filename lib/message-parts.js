@@ -0,0 +1,61 @@
+// lib/message-parts.js
+// Typed payloads stored on bot messages next to the model's text, rendered as cards by ChatCard
+import { formatLocationLabel } from "./geocoding.js";
+
+export const PART_TYPES = ["weather_current", "weather_forecast", "weather_hourly", "weather_history"];
+
+const withLabel = (location) => ({ ...location, label: formatLocationLabel(location) });
+
+/**
+ * Current conditions card, from a unit-converted current payload
+ */
+export function currentPart(current) {
+  return {
+    type: "weather_current",
+    data: {
+      location: withLabel(current.location),
+      observedAt: current.observedAt,
+      temp: current.temp,
+      feelsLike: current.feelsLike,
+      humidity: current.humidity,
+      windSpeed: current.windSpeed,
+      pressure: current.pressure,
+      visibility: current.visibility,
+      condition: current.condition,
+      units: current.units,
+      provider: current.provider,
+    },
+  };
+}
+
+/**
+ * Daily card, from a unit-converted aggregateDaily or getHistoricalWeather result
+ */
+export function dailyPart(type, daily, days = daily.days.length) {
+  return {
+    type,
+    data: {
+      location: withLabel(daily.location),
+      days: daily.days.slice(0, days),
+      ...(daily.missing && { missing: daily.missing }),
+      units: daily.units,
+      provider: daily.provider,
+    },
+  };
+}
+
+/**
+ * Hourly strip, from a unit-converted hourlyForecast result
+ */
+export function hourlyPart(hourly) {
+  return {
+    type: "weather_hourly",
+    data: {
+      location: withLabel(hourly.location),
+      intervalHours: hourly.intervalHours,
+      slots: hourly.slots,
+      units: hourly.units,
+      provider: hourly.provider,
+    },
+  };
+}
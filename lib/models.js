@@ -0,0 +1,191 @@
+// lib/models.js
+// Chat model registry - OpenRouter, Google GenAI and any OpenAI-compatible endpoint
+import { readFileSync } from "fs";
+import { ChatOpenAI } from "@langchain/openai";
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+
+export const PROVIDERS = ["openrouter", "google", "openai-compatible"];
+
+const OPENROUTER_URL = "https://openrouter.ai/api/v1";
+
+// Accepted per-conversation parameters and their bounds
+export const PARAM_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 1, max: 8192 },
+};
+
+const DEFAULT_PARAMS = { temperature: 0.4, maxTokens: 1024 };
+
+/**
+ * Models available without a config file, depending on which keys are set:
+ *   OPENROUTER_API_KEY  - gpt-4o-mini plus any model ids in OPENROUTER_MODELS (comma list)
+ *   GOOGLE_API_KEY      - gemini-2.0-flash
+ *   LLM_BASE_URL        - LLM_MODEL on an OpenAI-compatible server (Ollama, LM Studio,
+ *                         a local stand-in), LLM_API_KEY optional
+ */
+function modelsFromEnv(env) {
+  const models = [];
+
+  const openrouter = ["gpt-4o-mini", ...(env.OPENROUTER_MODELS || "").split(",")]
+    .map((m) => m.trim())
+    .filter(Boolean);
+  for (const model of new Set(openrouter)) {
+    models.push({
+      id: model,
+      label: `${model} (OpenRouter)`,
+      provider: "openrouter",
+      model,
+      apiKeyEnv: "OPENROUTER_API_KEY",
+    });
+  }
+
+  models.push({
+    id: "gemini-2.0-flash",
+    label: "Gemini 2.0 Flash (Google)",
+    provider: "google",
+    model: "gemini-2.0-flash",
+    apiKeyEnv: "GOOGLE_API_KEY",
+  });
+
+  if (env.LLM_BASE_URL) {
+    models.push({
+      id: env.LLM_MODEL_ID || "local",
+      label: `${env.LLM_MODEL || "local"} (${env.LLM_BASE_URL})`,
+      provider: "openai-compatible",
+      model: env.LLM_MODEL || "local",
+      baseURL: env.LLM_BASE_URL,
+      apiKeyEnv: "LLM_API_KEY",
+    });
+  }
+
+  return models;
+}
+
+/**
+ * Check { temperature, maxTokens } against PARAM_LIMITS: an error string, or null when valid
+ */
+export function validateModelParams(params = {}) {
+  for (const [key, value] of Object.entries(params)) {
+    const limits = PARAM_LIMITS[key];
+    if (!limits) return `Unknown model parameter "${key}"`;
+    if (value == null) continue;
+    if (typeof value !== "number" || Number.isNaN(value) || value < limits.min || value > limits.max) {
+      return `${key} must be a number between ${limits.min} and ${limits.max}`;
+    }
+    if (key === "maxTokens" && !Number.isInteger(value)) return "maxTokens must be an integer";
+  }
+  return null;
+}
+
+/**
+ * Registry of chat models.
+ *
+ * Entries come from the JSON file at MODELS_CONFIG when set
+ * ({ "default": "id", "models": [{ id, label, provider, model, baseURL, apiKeyEnv, defaults }] }),
+ * otherwise from modelsFromEnv. A model is available when its API key is set
+ * (local openai-compatible servers need none). Instances are cached per
+ * model + parameters + tool set, with tools bound once.
+ */
+export class ModelRegistry {
+  constructor({ env = process.env, tools = [], appTitle = "Weather Chatbot" } = {}) {
+    this.env = env;
+    this.tools = tools;
+    this.appTitle = appTitle;
+    this.instances = new Map(); // "id|temperature|maxTokens|tools" -> { llm, llmWithTools }
+
+    const config = env.MODELS_CONFIG ? JSON.parse(readFileSync(env.MODELS_CONFIG, "utf8")) : null;
+    this.models = (config?.models || modelsFromEnv(env)).map((m) => {
+      if (!PROVIDERS.includes(m.provider)) {
+        throw new Error(`Model "${m.id}" has unknown provider "${m.provider}"`);
+      }
+      return { ...m, defaults: { ...DEFAULT_PARAMS, ...m.defaults } };
+    });
+
+    const requested = env.DEFAULT_MODEL || config?.default;
+    const fallback = this.models.find((m) => this.isAvailable(m)) || this.models[0];
+    this.defaultId = this.get(requested) ? requested : fallback?.id;
+    if (!this.defaultId) throw new Error("No chat models configured");
+  }
+
+  get(id) {
+    return this.models.find((m) => m.id === id) || null;
+  }
+
+  isAvailable(model) {
+    if (model.provider === "openai-compatible") return true;
+    return Boolean(this.env[model.apiKeyEnv]);
+  }
+
+  /**
+   * Public model list - no keys or URLs
+   */
+  list() {
+    return this.models.map((m) => ({
+      id: m.id,
+      label: m.label || m.id,
+      provider: m.provider,
+      model: m.model,
+      defaults: m.defaults,
+      available: this.isAvailable(m),
+      default: m.id === this.defaultId,
+    }));
+  }
+
+  /**
+   * { llm, llmWithTools, model, params } for a model id (the default when it is
+   * unknown or its key is missing) and optional { temperature, maxTokens } overrides.
+   * `toolNames` limits the bound tools (null = all; with none, llmWithTools is llm).
+   */
+  resolve(id, overrides = {}, toolNames = null) {
+    const requested = this.get(id);
+    const entry = requested && this.isAvailable(requested) ? requested : this.get(this.defaultId);
+    const params = { ...entry.defaults };
+    for (const [key, value] of Object.entries(overrides || {})) {
+      if (value != null) params[key] = value;
+    }
+
+    const tools = toolNames ? this.tools.filter((t) => toolNames.includes(t.name)) : this.tools;
+    const key = `${entry.id}|${params.temperature}|${params.maxTokens}|${tools.map((t) => t.name).join(",")}`;
+    if (!this.instances.has(key)) {
+      const llm = this.create(entry, params);
+      this.instances.set(key, { llm, llmWithTools: tools.length ? llm.bindTools(tools) : llm });
+    }
+    return { ...this.instances.get(key), model: entry.id, params };
+  }
+
+  create(entry, { temperature, maxTokens }) {
+    const apiKey = entry.apiKeyEnv ? this.env[entry.apiKeyEnv] : undefined;
+
+    switch (entry.provider) {
+      case "google":
+        return new ChatGoogleGenerativeAI({
+          model: entry.model,
+          apiKey,
+          temperature,
+          maxOutputTokens: maxTokens,
+        });
+      case "openrouter":
+        return new ChatOpenAI({
+          model: entry.model,
+          temperature,
+          maxTokens,
+          configuration: {
+            apiKey,
+            baseURL: entry.baseURL || OPENROUTER_URL,
+            defaultHeaders: {
+              "HTTP-Referer": "http://localhost:3000",
+              "X-Title": this.appTitle,
+            },
+          },
+        });
+      default:
+        // Local servers usually ignore the key, but the client requires one
+        return new ChatOpenAI({
+          model: entry.model,
+          temperature,
+          maxTokens,
+          configuration: { apiKey: apiKey || "not-needed", baseURL: entry.baseURL },
+        });
+    }
+  }
+}
@@ -0,0 +1,192 @@
+// lib/profiles.js
+// Assistant profiles - persona, instructions, tone and allowed tools per conversation
+export const DEFAULT_PROFILE_ID = "general";
+
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const TEXT_LIMITS = { name: 80, description: 300, persona: 300, instructions: 4000, tone: 300 };
+
+// Seeded into the store when missing; admins can edit them like any other profile
+export const BUILT_IN_PROFILES = [
+  {
+    id: "general",
+    name: "General assistant",
+    description: "Answers anything, with weather tools on hand",
+    persona: "a helpful and knowledgeable AI assistant with weather capabilities",
+    instructions: [
+      "You can answer ANY question on ANY topic - weather, stories, facts, advice, explanations, creative writing, etc.",
+      'ALWAYS provide direct, complete answers. NEVER ask clarifying questions like "What topic would you like?" or "Do you have a preference?"',
+      "If asked for a story, creative content, or open-ended request, immediately generate engaging, detailed content without hesitation.",
+      "For creative requests (stories, poems, etc.), make them long, detailed, and engaging.",
+    ].join("\n"),
+    tone: "Conversational, helpful, and comprehensive.",
+    tools: null,
+  },
+  {
+    id: "weather-only",
+    name: "Weather only",
+    description: "Strict weather assistant that declines other topics",
+    persona: "a smart weather AI inside a chat system",
+    instructions: [
+      "Answer based only on weather data from the tools.",
+      "Give weather-related lifestyle suggestions only when the user asks for them.",
+      "Do NOT ask unnecessary clarification questions unless no place has been mentioned at all.",
+      "Do NOT talk about anything unrelated to weather; say briefly that you only cover weather.",
+    ].join("\n"),
+    tone: "Short and direct.",
+    tools: null,
+  },
+  {
+    id: "agronomy",
+    name: "Farm advisor",
+    description: "Agronomy advice - sowing, irrigation, spraying and harvest around the weather",
+    persona: "an agronomy advisor helping farmers plan field work around the weather",
+    instructions: [
+      "Turn the forecast into field decisions: sowing, irrigation, spraying, fertilizer, harvest and protecting crops and livestock.",
+      "Don't recommend spraying when rain is likely within 24 hours or wind is above 15 km/h (about 10 mph); use the hourly forecast to find a window.",
+      "Compare recent rainfall (past weather) with what is forecast before advising on irrigation.",
+      "Warn about frost, heat stress, heavy rain and strong wind, leading with any official alert.",
+      "Stay on farming and weather; keep other topics short.",
+    ].join("\n"),
+    tone: "Practical and plain-spoken, with short actionable steps.",
+    tools: ["get_weather", "get_weather_alerts", "get_historical_weather"],
+  },
+];
+
+/**
+ * Check a profile body; `partial` for updates. An error string, or null when valid.
+ * tools is a list of tool names, or null for every tool.
+ */
+export function validateProfile(input = {}, { toolNames = [], partial = false } = {}) {
+  if (!partial && !PROFILE_ID_RE.test(input.id || "")) {
+    return "id must be 2-40 lowercase letters, digits or dashes";
+  }
+  for (const key of ["name", "persona"]) {
+    if ((!partial || input[key] !== undefined) && !input[key]) return `${key} is required`;
+  }
+  for (const [key, max] of Object.entries(TEXT_LIMITS)) {
+    if (input[key] == null) continue;
+    if (typeof input[key] !== "string" || input[key].length > max) {
+      return `${key} must be a string of at most ${max} characters`;
+    }
+  }
+  if (input.tools != null) {
+    if (!Array.isArray(input.tools)) return "tools must be a list of tool names or null";
+    const unknown = input.tools.filter((t) => !toolNames.includes(t));
+    if (unknown.length) return `Unknown tools: ${unknown.join(", ")} (available: ${toolNames.join(", ")})`;
+  }
+  return null;
+}
+
+/**
+ * System prompt for a profile: tool rules whose tools the profile may use,
+ * then the profile's own instructions, numbered together, then its tone.
+ * toolRules are { tools: [names] | undefined, text }.
+ */
+export function buildSystemPrompt(profile, toolRules = []) {
+  const allowed = profileTools(profile, null);
+  const rules = [
+    ...toolRules
+      .filter((rule) => !rule.tools || !allowed || rule.tools.every((t) => allowed.includes(t)))
+      .map((rule) => rule.text),
+    ...(profile.instructions || "").split("\n").map((line) => line.trim()).filter(Boolean),
+  ];
+
+  return `
+You are ${profile.persona}.
+
+RULES:
+${rules.map((rule, i) => `${i + 1}. ${rule}`).join("\n")}
+${profile.tone ? `\nTone: ${profile.tone}\n` : ""}`;
+}
+
+/**
+ * Tool names a profile may call - `all` when it doesn't restrict them
+ */
+export function profileTools(profile, all) {
+  return Array.isArray(profile?.tools) ? profile.tools : all;
+}
+
+/**
+ * Profiles kept in MongoDB (`model` is the mongoose model) with an in-memory
+ * copy, refreshed on every write through this store.
+ */
+export class ProfileStore {
+  constructor({ model, toolNames = [], defaultId = DEFAULT_PROFILE_ID }) {
+    this.model = model;
+    this.toolNames = toolNames;
+    this.defaultId = defaultId;
+    this.profiles = new Map(BUILT_IN_PROFILES.map((p) => [p.id, { ...p, builtIn: true }]));
+  }
+
+  /**
+   * Insert built-in profiles that are missing and load everything stored
+   */
+  async load() {
+    for (const profile of BUILT_IN_PROFILES) {
+      await this.model.updateOne(
+        { id: profile.id },
+        { $setOnInsert: { ...profile, builtIn: true } },
+        { upsert: true }
+      );
+    }
+    const stored = await this.model.find().lean();
+    this.profiles = new Map(stored.map((p) => [p.id, clean(p)]));
+    if (!this.profiles.has(this.defaultId)) this.defaultId = DEFAULT_PROFILE_ID;
+  }
+
+  list() {
+    return [...this.profiles.values()].map((p) => ({ ...p, default: p.id === this.defaultId }));
+  }
+
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  /**
+   * Profile for a conversation - the default when unset or deleted
+   */
+  resolve(id) {
+    return this.get(id) || this.get(this.defaultId);
+  }
+
+  async create(input) {
+    const error = validateProfile(input, { toolNames: this.toolNames });
+    if (error) return { error, status: 400 };
+    if (this.profiles.has(input.id)) return { error: `Profile "${input.id}" already exists`, status: 409 };
+
+    const doc = await this.model.create({ ...pick(input), id: input.id, builtIn: false });
+    const profile = clean(doc.toObject());
+    this.profiles.set(profile.id, profile);
+    return { profile };
+  }
+
+  async update(id, input) {
+    if (!this.profiles.has(id)) return { error: "Profile not found", status: 404 };
+    const error = validateProfile(input, { toolNames: this.toolNames, partial: true });
+    if (error) return { error, status: 400 };
+
+    const doc = await this.model.findOneAndUpdate(
+      { id },
+      { $set: { ...pick(input), updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!doc) return { error: "Profile not found", status: 404 };
+
+    const profile = clean(doc);
+    this.profiles.set(id, profile);
+    return { profile };
+  }
+}
+
+// Editable fields only - id and builtIn are fixed
+function pick(input) {
+  const fields = {};
+  for (const key of [...Object.keys(TEXT_LIMITS), "tools"]) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+  return fields;
+}
+
+function clean({ _id, __v, ...profile }) {
+  return profile;
+}
@@ -0,0 +1,179 @@
+// lib/providers/base.js
+// Weather provider interface and shared helpers for vendor adapters
+
+// Request timeout for vendor calls
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Codes callers branch on:
+ *   not_found, invalid_location, invalid_date, not_supported - the request can't be served
+ *   quota_exceeded - request budget spent (ours or the vendor's), see retryAfter
+ *   upstream_down  - vendor unreachable, timing out, failing, or circuit open
+ *   misconfigured  - API key missing or rejected
+ *   upstream_error - any other unexpected vendor response
+ */
+export class WeatherProviderError extends Error {
+  constructor(message, { code = "upstream_error", status = 502, cause, retryAfter = null } = {}) {
+    super(message, { cause });
+    this.name = "WeatherProviderError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+/**
+ * Base class every weather adapter extends.
+ *
+ * Lookups take a resolved location ({ name, state, country, lat, lon }, see
+ * lib/geocoding.js) and return the normalized data model:
+ *   location: { name, country, state, lat, lon, timezoneOffset }
+ *   current:  { location, observedAt, temp, feelsLike, humidity, pressure,
+ *               windSpeed, windGust, windDeg, visibility, clouds, rain, snow,
+ *               condition: { main, description, icon }, sunrise, sunset, provider }
+ *   forecast: { location, intervalHours, slots: [{ time, temp, feelsLike, humidity,
+ *               pressure, windSpeed, windGust, windDeg, visibility, clouds, pop,
+ *               rain, snow, condition }], provider }
+ *   history:  { location, days: [{ date, tempMin, tempMax, condition, rain, snow,
+ *               windMax, pop: null, hoursCovered }], provider } - same day shape
+ *               as lib/forecast.js aggregateDaily, dates local to the location
+ *   airQuality: { location, observedAt, pollutants: { pm2_5, pm10, o3, no2, so2, co },
+ *               uvIndex, provider }
+ *
+ * Values are metric: °C, m/s, hPa, metres and millimetres; pollutants in µg/m³. Times are ISO strings
+ * in UTC, timezoneOffset is the location's offset from UTC in seconds.
+ */
+export class WeatherProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Ranked place candidates for { city } or { postalCode, country }:
+   * [{ name, state, country, lat, lon }]
+   */
+  async geocode(query) {
+    throw new Error(`${this.name} provider does not implement geocode`);
+  }
+
+  /**
+   * Current conditions for a resolved location
+   */
+  async getCurrent(location) {
+    throw new Error(`${this.name} provider does not implement getCurrent`);
+  }
+
+  /**
+   * Multi-day forecast for a resolved location as evenly spaced slots
+   */
+  async getForecast(location) {
+    throw new Error(`${this.name} provider does not implement getForecast`);
+  }
+
+  /**
+   * Observed daily weather for local dates from..to (YYYY-MM-DD, inclusive)
+   */
+  async getHistory(location, { from, to }) {
+    throw new WeatherProviderError(`Historical weather is not available from ${this.name}`, {
+      code: "not_supported",
+      status: 501,
+    });
+  }
+
+  /**
+   * Pollutant concentrations and UV index (null when the vendor has none)
+   */
+  async getAirQuality(location) {
+    throw new Error(`${this.name} provider does not implement getAirQuality`);
+  }
+
+  /**
+   * Official alerts for a location, normalized with lib/alerts.js
+   * normalizeAlert. Null means the vendor has no alert feed.
+   */
+  async getAlerts(location) {
+    return null;
+  }
+}
+
+/**
+ * Fetch a JSON document, mapping HTTP failures to WeatherProviderError.
+ * `guard` (lib/upstream-guard.js) enforces the request budget and circuit breaker.
+ */
+export async function fetchJson(url, { provider, query, guard } = {}) {
+  await guard?.acquire();
+
+  try {
+    const data = await request(url, { provider, query });
+    guard?.success();
+    return data;
+  } catch (err) {
+    guard?.failure(err);
+    throw err;
+  }
+}
+
+async function request(url, { provider, query }) {
+  let response;
+  try {
+    response = await fetch(url.toString(), { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (err) {
+    const timedOut = err.name === "TimeoutError";
+    throw new WeatherProviderError(`${provider} is ${timedOut ? "not responding" : "unreachable"}`, {
+      code: "upstream_down",
+      status: 503,
+      cause: err,
+    });
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const upstreamMessage = data.message || data.reason || response.statusText;
+    if (response.status === 404) {
+      throw new WeatherProviderError(`Could not find weather for "${query}"`, {
+        code: "not_found",
+        status: 404,
+      });
+    }
+    if (response.status === 401 || response.status === 403) {
+      // Vendors answer endpoints outside the key's plan with the same statuses as a bad key
+      if (/subscription|plan/i.test(upstreamMessage)) {
+        throw new WeatherProviderError(`${provider} plan does not include this data`, {
+          code: "not_supported",
+          status: 501,
+        });
+      }
+      throw new WeatherProviderError(`${provider} rejected the API key`, {
+        code: "misconfigured",
+        status: 500,
+      });
+    }
+    if (response.status === 429) {
+      throw new WeatherProviderError(`${provider} request quota exceeded`, {
+        code: "quota_exceeded",
+        status: 429,
+        retryAfter: Number(response.headers.get("retry-after")) || 60,
+      });
+    }
+    if (response.status >= 500) {
+      throw new WeatherProviderError(`${provider} is having problems (${response.status})`, {
+        code: "upstream_down",
+        status: 503,
+      });
+    }
+    throw new WeatherProviderError(`${provider} error: ${upstreamMessage}`, {
+      code: "upstream_error",
+      status: 502,
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Convert a unix timestamp in seconds to an ISO string
+ */
+export function toIso(unixSeconds) {
+  return unixSeconds == null ? null : new Date(unixSeconds * 1000).toISOString();
+}
@@ -0,0 +1,153 @@
+// lib/providers/fixture.js
+// Fixture-backed provider that serves canned, already normalized JSON from disk
+import { readFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { WeatherProvider, WeatherProviderError } from "./base.js";
+import { distanceKm, formatLocationLabel } from "../geocoding.js";
+import { normalizeAlert } from "../alerts.js";
+
+const DEFAULT_DIR = new URL("../../fixtures/weather/", import.meta.url);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEAREST_FIXTURE_KM = 50;
+
+export class FixtureProvider extends WeatherProvider {
+  constructor({ dir } = {}) {
+    super("fixture");
+    this.dir = dir ? pathToFileURL(`${path.resolve(dir)}/`) : DEFAULT_DIR;
+    this.files = new Map(); // file name -> parsed JSON
+  }
+
+  async readJson(name) {
+    if (this.files.has(name)) return this.files.get(name);
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(new URL(name, this.dir), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+
+    this.files.set(name, data);
+    return data;
+  }
+
+  /**
+   * Places known to the fixtures (geocoding.json)
+   */
+  async places() {
+    return (await this.readJson("geocoding.json")) || [];
+  }
+
+  async geocode({ city, postalCode }) {
+    const places = await this.places();
+    const matches = postalCode
+      ? places.filter((p) => p.postalCodes?.includes(postalCode))
+      : places.filter((p) => p.name.toLowerCase() === String(city).trim().toLowerCase());
+
+    return matches.map(({ name, state, country, lat, lon }) => ({ name, state, country, lat, lon }));
+  }
+
+  /**
+   * Load the weather fixture for a location - by name, or the nearest
+   * fixture-backed place for bare coordinates
+   */
+  async load(location) {
+    const places = (await this.places()).filter((p) => p.fixture);
+    const byName = location.name
+      ? places.find((p) => p.name.toLowerCase() === location.name.toLowerCase())
+      : null;
+    const nearest = places
+      .map((p) => ({ place: p, km: distanceKm(p, location) }))
+      .filter(({ km }) => km < NEAREST_FIXTURE_KM)
+      .sort((a, b) => a.km - b.km)[0]?.place;
+
+    const slug = (byName || nearest)?.fixture;
+    const fixture = slug ? await this.readJson(`${slug}.json`) : null;
+    if (!fixture) {
+      throw new WeatherProviderError(`Could not find weather for "${formatLocationLabel(location)}"`, {
+        code: "not_found",
+        status: 404,
+      });
+    }
+
+    return {
+      ...fixture,
+      location: {
+        ...fixture.location,
+        name: location.name || fixture.location.name,
+        state: location.state || fixture.location.state,
+        country: location.country || fixture.location.country,
+      },
+    };
+  }
+
+  /**
+   * Shift fixture timestamps by whole days so the data always looks fresh
+   */
+  rebase(fixture) {
+    const recordedDay = Math.floor(Date.parse(fixture.current.observedAt) / DAY_MS);
+    const shift = (Math.floor(Date.now() / DAY_MS) - recordedDay) * DAY_MS;
+    return (iso) => (iso ? new Date(Date.parse(iso) + shift).toISOString() : iso);
+  }
+
+  async getCurrent(location) {
+    const fixture = await this.load(location);
+    const shift = this.rebase(fixture);
+
+    return {
+      location: fixture.location,
+      ...fixture.current,
+      observedAt: shift(fixture.current.observedAt),
+      sunrise: shift(fixture.current.sunrise),
+      sunset: shift(fixture.current.sunset),
+      provider: this.name,
+    };
+  }
+
+  async getForecast(location) {
+    const fixture = await this.load(location);
+    const shift = this.rebase(fixture);
+
+    return {
+      location: fixture.location,
+      intervalHours: fixture.forecast.intervalHours,
+      slots: fixture.forecast.slots.map((slot) => ({ ...slot, time: shift(slot.time) })),
+      provider: this.name,
+    };
+  }
+
+  async getAirQuality(location) {
+    const fixture = await this.load(location);
+    const shift = this.rebase(fixture);
+
+    return {
+      location: fixture.location,
+      observedAt: shift(fixture.airQuality.observedAt),
+      pollutants: fixture.airQuality.pollutants,
+      uvIndex: fixture.airQuality.uvIndex,
+      provider: this.name,
+    };
+  }
+
+  async getHistory(location, { from, to }) {
+    const fixture = await this.load(location);
+    const shift = this.rebase(fixture);
+
+    const days = (fixture.history?.days || [])
+      .map((day) => ({ ...day, date: shift(`${day.date}T00:00:00Z`).slice(0, 10) }))
+      .filter((day) => day.date >= from && day.date <= to);
+
+    return { location: fixture.location, days, provider: this.name };
+  }
+
+  async getAlerts(location) {
+    const fixture = await this.load(location);
+    const shift = this.rebase(fixture);
+
+    return (fixture.alerts || []).map((alert) =>
+      normalizeAlert({ ...alert, start: shift(alert.start), end: shift(alert.end) })
+    );
+  }
+}
@@ -0,0 +1,32 @@
+// lib/providers/index.js
+// Weather provider registry - pick the vendor per deployment via WEATHER_PROVIDER
+import { OpenWeatherProvider } from "./openweather.js";
+import { OpenMeteoProvider } from "./open-meteo.js";
+import { FixtureProvider } from "./fixture.js";
+
+export { WeatherProvider, WeatherProviderError } from "./base.js";
+
+/**
+ * Build the configured weather provider.
+ * WEATHER_PROVIDER: "openweather" (default), "open-meteo" or "fixture".
+ * `guard` (lib/upstream-guard.js) is handed to the HTTP providers.
+ */
+export function createWeatherProvider(env = process.env, { guard = null } = {}) {
+  const name = (env.WEATHER_PROVIDER || "openweather").toLowerCase();
+
+  switch (name) {
+    case "openweather":
+      return new OpenWeatherProvider({
+        apiKey: env.OPEN_WEATHER_API_KEY || env.WEATHER_API_KEY,
+        guard,
+      });
+    case "open-meteo":
+    case "openmeteo":
+      return new OpenMeteoProvider({ guard });
+    case "fixture":
+    case "fixtures":
+      return new FixtureProvider({ dir: env.WEATHER_FIXTURES_DIR });
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${name}"`);
+  }
+}
@@ -0,0 +1,257 @@
+// lib/providers/open-meteo.js
+// Open-Meteo adapter (keyless)
+import { WeatherProvider, fetchJson, toIso } from "./base.js";
+import { formatLocationLabel } from "../geocoding.js";
+import { aggregateDaily } from "../forecast.js";
+
+// The forecast endpoint also serves the recent past; older dates need the archive
+const RECENT_PAST_DAYS = 90;
+
+const HISTORY_FIELDS = [
+  "temperature_2m",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "rain",
+  "snowfall",
+  "weather_code",
+  "is_day",
+];
+
+const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
+const FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const AIR_QUALITY_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+
+const CURRENT_FIELDS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "surface_pressure",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "cloud_cover",
+  "rain",
+  "snowfall",
+  "weather_code",
+  "is_day",
+];
+
+const HOURLY_FIELDS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "surface_pressure",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "visibility",
+  "cloud_cover",
+  "precipitation_probability",
+  "rain",
+  "snowfall",
+  "weather_code",
+  "is_day",
+];
+
+// WMO weather interpretation codes -> OpenWeather-style condition groups
+const WMO_CODES = {
+  0: ["Clear", "clear sky", "01"],
+  1: ["Clouds", "mainly clear", "02"],
+  2: ["Clouds", "partly cloudy", "03"],
+  3: ["Clouds", "overcast", "04"],
+  45: ["Fog", "fog", "50"],
+  48: ["Fog", "depositing rime fog", "50"],
+  51: ["Drizzle", "light drizzle", "09"],
+  53: ["Drizzle", "moderate drizzle", "09"],
+  55: ["Drizzle", "dense drizzle", "09"],
+  56: ["Drizzle", "light freezing drizzle", "09"],
+  57: ["Drizzle", "dense freezing drizzle", "09"],
+  61: ["Rain", "slight rain", "10"],
+  63: ["Rain", "moderate rain", "10"],
+  65: ["Rain", "heavy rain", "10"],
+  66: ["Rain", "light freezing rain", "13"],
+  67: ["Rain", "heavy freezing rain", "13"],
+  71: ["Snow", "slight snow fall", "13"],
+  73: ["Snow", "moderate snow fall", "13"],
+  75: ["Snow", "heavy snow fall", "13"],
+  77: ["Snow", "snow grains", "13"],
+  80: ["Rain", "slight rain showers", "09"],
+  81: ["Rain", "moderate rain showers", "09"],
+  82: ["Rain", "violent rain showers", "09"],
+  85: ["Snow", "slight snow showers", "13"],
+  86: ["Snow", "heavy snow showers", "13"],
+  95: ["Thunderstorm", "thunderstorm", "11"],
+  96: ["Thunderstorm", "thunderstorm with slight hail", "11"],
+  99: ["Thunderstorm", "thunderstorm with heavy hail", "11"],
+};
+
+export class OpenMeteoProvider extends WeatherProvider {
+  constructor({ guard = null } = {}) {
+    super("open-meteo");
+    this.guard = guard;
+  }
+
+  async geocode({ city, postalCode, country }) {
+    // The search endpoint matches both place names and postal codes
+    const url = new URL(GEOCODING_URL);
+    url.searchParams.set("name", postalCode || city);
+    url.searchParams.set("count", "10");
+    if (country && /^[a-z]{2}$/i.test(country)) {
+      url.searchParams.set("countryCode", country.toUpperCase());
+    }
+
+    const data = await fetchJson(url, { provider: "Open-Meteo", query: postalCode || city, guard: this.guard });
+    return (data.results || []).map((place) => ({
+      name: place.name,
+      state: place.admin1 || null,
+      country: place.country_code || null,
+      lat: place.latitude,
+      lon: place.longitude,
+    }));
+  }
+
+  async request(location, params, baseUrl = FORECAST_URL) {
+    const url = new URL(baseUrl);
+    url.searchParams.set("latitude", location.lat);
+    url.searchParams.set("longitude", location.lon);
+    url.searchParams.set("timezone", "auto");
+    url.searchParams.set("timeformat", "unixtime");
+    url.searchParams.set("wind_speed_unit", "ms");
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+
+    return fetchJson(url, { provider: "Open-Meteo", query: formatLocationLabel(location), guard: this.guard });
+  }
+
+  async getCurrent(location) {
+    const data = await this.request(location, { current: CURRENT_FIELDS.join(",") });
+    const current = data.current;
+
+    return {
+      location: toLocation(location, data),
+      observedAt: toIso(current.time),
+      temp: current.temperature_2m,
+      feelsLike: current.apparent_temperature,
+      humidity: current.relative_humidity_2m,
+      pressure: current.surface_pressure,
+      windSpeed: current.wind_speed_10m,
+      windGust: current.wind_gusts_10m ?? null,
+      windDeg: current.wind_direction_10m ?? null,
+      visibility: null,
+      clouds: current.cloud_cover ?? null,
+      rain: current.rain ?? 0,
+      // Open-Meteo reports snowfall in centimetres
+      snow: (current.snowfall ?? 0) * 10,
+      condition: normalizeCondition(current.weather_code, current.is_day),
+      sunrise: null,
+      sunset: null,
+      provider: this.name,
+    };
+  }
+
+  async getForecast(location) {
+    const data = await this.request(location, {
+      hourly: HOURLY_FIELDS.join(","),
+      forecast_days: "5",
+    });
+    const hourly = data.hourly;
+
+    return {
+      location: toLocation(location, data),
+      intervalHours: 1,
+      slots: hourly.time.map((time, i) => ({
+        time: toIso(time),
+        temp: hourly.temperature_2m[i],
+        feelsLike: hourly.apparent_temperature[i],
+        humidity: hourly.relative_humidity_2m[i],
+        pressure: hourly.surface_pressure[i],
+        windSpeed: hourly.wind_speed_10m[i],
+        windGust: hourly.wind_gusts_10m[i] ?? null,
+        windDeg: hourly.wind_direction_10m[i] ?? null,
+        visibility: hourly.visibility[i] ?? null,
+        clouds: hourly.cloud_cover[i] ?? null,
+        pop: (hourly.precipitation_probability[i] ?? 0) / 100,
+        rain: hourly.rain[i] ?? 0,
+        snow: (hourly.snowfall[i] ?? 0) * 10,
+        condition: normalizeCondition(hourly.weather_code[i], hourly.is_day[i]),
+      })),
+      provider: this.name,
+    };
+  }
+
+  async getHistory(location, { from, to }) {
+    const recent = Date.now() - Date.parse(from) < RECENT_PAST_DAYS * 24 * 60 * 60 * 1000;
+    const data = await this.request(
+      location,
+      { hourly: HISTORY_FIELDS.join(","), start_date: from, end_date: to },
+      recent ? FORECAST_URL : ARCHIVE_URL
+    );
+    const hourly = data.hourly;
+
+    const daily = aggregateDaily({
+      location: toLocation(location, data),
+      intervalHours: 1,
+      slots: hourly.time.map((time, i) => ({
+        time: toIso(time),
+        temp: hourly.temperature_2m[i],
+        windSpeed: hourly.wind_speed_10m[i],
+        rain: hourly.rain[i] ?? 0,
+        snow: (hourly.snowfall[i] ?? 0) * 10,
+        condition: normalizeCondition(hourly.weather_code[i], hourly.is_day[i]),
+      })).filter((slot) => slot.temp != null),
+      provider: this.name,
+    });
+
+    return {
+      location: daily.location,
+      days: daily.days.map((d) => ({ ...d, pop: null })),
+      provider: this.name,
+    };
+  }
+
+  async getAirQuality(location) {
+    const data = await this.request(
+      location,
+      { current: "pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide,uv_index" },
+      AIR_QUALITY_URL
+    );
+    const current = data.current;
+
+    return {
+      location: toLocation(location, data),
+      observedAt: toIso(current.time),
+      pollutants: {
+        pm2_5: current.pm2_5 ?? null,
+        pm10: current.pm10 ?? null,
+        o3: current.ozone ?? null,
+        no2: current.nitrogen_dioxide ?? null,
+        so2: current.sulphur_dioxide ?? null,
+        co: current.carbon_monoxide ?? null,
+      },
+      uvIndex: current.uv_index ?? null,
+      provider: this.name,
+    };
+  }
+}
+
+function toLocation(location, data) {
+  return {
+    name: location.name || formatLocationLabel(location),
+    country: location.country || null,
+    state: location.state || null,
+    lat: location.lat,
+    lon: location.lon,
+    timezoneOffset: data.utc_offset_seconds ?? 0,
+  };
+}
+
+function normalizeCondition(code, isDay) {
+  const [main, description, icon] = WMO_CODES[code] || ["Unknown", "Unknown", null];
+  return {
+    main,
+    description,
+    icon: icon ? `${icon}${isDay === 0 ? "n" : "d"}` : null,
+  };
+}
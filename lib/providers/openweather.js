@@ -0,0 +1,260 @@
+// lib/providers/openweather.js
+// OpenWeather adapter (current weather, 5 day / 3 hour forecast, air pollution,
+// One Call alerts and daily history)
+import { WeatherProvider, WeatherProviderError, fetchJson, toIso } from "./base.js";
+import { normalizeAlert } from "../alerts.js";
+
+const BASE_URL = "https://api.openweathermap.org/data/2.5";
+const GEO_URL = "https://api.openweathermap.org/geo/1.0";
+const ONE_CALL_URL = "https://api.openweathermap.org/data/3.0";
+
+export class OpenWeatherProvider extends WeatherProvider {
+  constructor({ apiKey, guard = null } = {}) {
+    super("openweather");
+    this.apiKey = apiKey;
+    this.guard = guard;
+  }
+
+  async request(path, params, query, baseUrl = BASE_URL) {
+    if (!this.apiKey) {
+      throw new WeatherProviderError("OpenWeather API key not configured", {
+        code: "misconfigured",
+        status: 500,
+      });
+    }
+
+    const url = new URL(`${baseUrl}/${path}`);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    url.searchParams.set("appid", this.apiKey);
+    url.searchParams.set("units", "metric");
+
+    return fetchJson(url, { provider: "OpenWeather", query, guard: this.guard });
+  }
+
+  async geocode({ city, postalCode, country }) {
+    if (postalCode) {
+      const zip = country ? `${postalCode},${country}` : postalCode;
+      try {
+        const place = await this.request("zip", { zip }, postalCode, GEO_URL);
+        return [{ name: place.name, state: null, country: place.country, lat: place.lat, lon: place.lon }];
+      } catch (err) {
+        if (err.code === "not_found") return [];
+        throw err;
+      }
+    }
+
+    const places = await this.request("direct", { q: city, limit: "5" }, city, GEO_URL);
+    return places.map((place) => ({
+      name: place.local_names?.en || place.name,
+      state: place.state || null,
+      country: place.country || null,
+      lat: place.lat,
+      lon: place.lon,
+    }));
+  }
+
+  async getCurrent(location) {
+    const params = { lat: location.lat, lon: location.lon };
+    const data = await this.request("weather", params, location.name);
+
+    // OpenWeather occasionally answers 200 with an error body
+    if (!data.main) {
+      throw new WeatherProviderError(data.message || `Could not find weather for "${location.name}"`, {
+        code: "not_found",
+        status: 404,
+      });
+    }
+
+    return {
+      location: {
+        name: location.name || data.name,
+        country: location.country || data.sys?.country || null,
+        state: location.state || null,
+        lat: location.lat,
+        lon: location.lon,
+        timezoneOffset: data.timezone ?? 0,
+      },
+      observedAt: toIso(data.dt),
+      temp: data.main.temp,
+      feelsLike: data.main.feels_like,
+      humidity: data.main.humidity,
+      pressure: data.main.pressure,
+      windSpeed: data.wind?.speed ?? null,
+      windGust: data.wind?.gust ?? null,
+      windDeg: data.wind?.deg ?? null,
+      visibility: data.visibility ?? null,
+      clouds: data.clouds?.all ?? null,
+      rain: data.rain?.["1h"] ?? 0,
+      snow: data.snow?.["1h"] ?? 0,
+      condition: normalizeCondition(data.weather?.[0]),
+      sunrise: toIso(data.sys?.sunrise),
+      sunset: toIso(data.sys?.sunset),
+      provider: this.name,
+    };
+  }
+
+  async getForecast(location) {
+    const params = { lat: location.lat, lon: location.lon };
+    const data = await this.request("forecast", params, location.name);
+
+    return {
+      location: {
+        name: location.name || data.city.name,
+        country: location.country || data.city.country || null,
+        state: location.state || null,
+        lat: location.lat,
+        lon: location.lon,
+        timezoneOffset: data.city.timezone ?? 0,
+      },
+      intervalHours: 3,
+      slots: data.list.map((item) => ({
+        time: toIso(item.dt),
+        temp: item.main.temp,
+        feelsLike: item.main.feels_like,
+        humidity: item.main.humidity,
+        pressure: item.main.pressure,
+        windSpeed: item.wind?.speed ?? null,
+        windGust: item.wind?.gust ?? null,
+        windDeg: item.wind?.deg ?? null,
+        visibility: item.visibility ?? null,
+        clouds: item.clouds?.all ?? null,
+        pop: item.pop ?? 0,
+        rain: item.rain?.["3h"] ?? 0,
+        snow: item.snow?.["3h"] ?? 0,
+        condition: normalizeCondition(item.weather?.[0]),
+      })),
+      provider: this.name,
+    };
+  }
+
+  async getAirQuality(location) {
+    const params = { lat: location.lat, lon: location.lon };
+    const data = await this.request("air_pollution", params, location.name);
+    const entry = data.list?.[0];
+    if (!entry) {
+      throw new WeatherProviderError(`No air quality data for "${location.name}"`, {
+        code: "not_found",
+        status: 404,
+      });
+    }
+
+    return {
+      location: {
+        name: location.name,
+        country: location.country || null,
+        state: location.state || null,
+        lat: location.lat,
+        lon: location.lon,
+      },
+      observedAt: toIso(entry.dt),
+      pollutants: {
+        pm2_5: entry.components.pm2_5 ?? null,
+        pm10: entry.components.pm10 ?? null,
+        o3: entry.components.o3 ?? null,
+        no2: entry.components.no2 ?? null,
+        so2: entry.components.so2 ?? null,
+        co: entry.components.co ?? null,
+      },
+      // UV needs the paid One Call API
+      uvIndex: null,
+      provider: this.name,
+    };
+  }
+
+  async getHistory(location, { from, to }) {
+    const dates = [];
+    for (let t = Date.parse(from); t <= Date.parse(to); t += 24 * 60 * 60 * 1000) {
+      dates.push(new Date(t).toISOString().slice(0, 10));
+    }
+
+    let summaries;
+    try {
+      summaries = await Promise.all(
+        dates.map((date) =>
+          this.request("onecall/day_summary", { lat: location.lat, lon: location.lon, date }, location.name, ONE_CALL_URL)
+        )
+      );
+    } catch (err) {
+      if (err.code === "not_supported") {
+        throw new WeatherProviderError("Historical weather needs an OpenWeather One Call 3.0 subscription", {
+          code: "not_supported",
+          status: 501,
+        });
+      }
+      throw err;
+    }
+
+    return {
+      location: {
+        name: location.name,
+        country: location.country || null,
+        state: location.state || null,
+        lat: location.lat,
+        lon: location.lon,
+        timezoneOffset: summaries[0]?.tz ? parseOffset(summaries[0].tz) : 0,
+      },
+      days: summaries.map((day) => ({
+        date: day.date,
+        tempMin: day.temperature.min,
+        tempMax: day.temperature.max,
+        condition: summaryCondition(day),
+        rain: day.precipitation?.total ?? 0,
+        snow: 0,
+        windMax: day.wind?.max?.speed ?? null,
+        pop: null,
+        hoursCovered: 24,
+      })),
+      provider: this.name,
+    };
+  }
+
+  async getAlerts(location) {
+    const params = { lat: location.lat, lon: location.lon, exclude: "current,minutely,hourly,daily" };
+    let data;
+    try {
+      data = await this.request("onecall", params, location.name, ONE_CALL_URL);
+    } catch (err) {
+      // One Call 3.0 is a separate subscription - without it there is no alert feed
+      if (err.code === "not_supported") return null;
+      throw err;
+    }
+
+    return (data.alerts || []).map((alert) =>
+      normalizeAlert({
+        event: alert.event,
+        start: toIso(alert.start),
+        end: toIso(alert.end),
+        description: alert.description,
+        sender: alert.sender_name,
+      })
+    );
+  }
+}
+
+// day_summary has no weather code - approximate one from rain and cloud cover
+function summaryCondition(day) {
+  const rain = day.precipitation?.total ?? 0;
+  const clouds = day.cloud_cover?.afternoon ?? 0;
+  if (rain >= 10) return { main: "Rain", description: "heavy rain", icon: "10d" };
+  if (rain >= 1) return { main: "Rain", description: "rain", icon: "10d" };
+  if (clouds >= 70) return { main: "Clouds", description: "overcast clouds", icon: "04d" };
+  if (clouds >= 25) return { main: "Clouds", description: "scattered clouds", icon: "03d" };
+  return { main: "Clear", description: "clear sky", icon: "01d" };
+}
+
+// "+05:30" -> 19800
+function parseOffset(tz) {
+  const [, sign, h, m] = /^([+-])(\d{2}):(\d{2})$/.exec(tz) || [];
+  if (!sign) return 0;
+  return (sign === "-" ? -1 : 1) * (Number(h) * 3600 + Number(m) * 60);
+}
+
+function normalizeCondition(weather) {
+  return {
+    main: weather?.main || "Unknown",
+    description: weather?.description || "Unknown",
+    icon: weather?.icon || null,
+  };
+}
@@ -0,0 +1,430 @@
+// lib/recommendations.js
+// Rule-based lifestyle advice - what to wear, umbrella, exercise window, laundry,
+// commute risk and activity scores - from normalized (metric) weather data
+//
+// Every threshold lives in the rule tables below. Regions (ISO country codes)
+// override them field by field, from REGIONAL_RULES and the RECOMMENDATION_RULES file.
+import { readFileSync } from "fs";
+import { hourlyForecast } from "./forecast.js";
+import { summarizeAirQuality } from "./air-quality.js";
+import { getActiveAlerts, SEVERITIES } from "./alerts.js";
+
+export const RISK_LEVELS = ["low", "moderate", "high"];
+
+// Metric throughout: °C (feels-like), m/s, mm, metres, pop 0-1, NAQI, UV index
+export const DEFAULT_RULES = {
+  // Hours of forecast the advice covers
+  hours: 24,
+  // Local hours treated as daytime when the provider gives no sunrise/sunset
+  daylight: [6, 19],
+  wear: {
+    // [feels-like upper bound, what to wear], dressing for the coldest daytime slot
+    layers: [
+      [0, "Heavy winter coat, hat and gloves"],
+      [8, "Warm coat and a sweater"],
+      [15, "Jacket or a warm sweater"],
+      [21, "Light jacket or long sleeves"],
+      [27, "T-shirt and light trousers or a skirt"],
+      [null, "Light, loose, breathable cotton or linen"],
+    ],
+    // Feels-like spread across the day that calls for layers
+    layerSpread: 8,
+    sunscreenUv: 3,
+    hatUv: 6,
+    windproofWind: 8,
+    maskAqi: 201,
+    waterproofShoesRain: 10,
+  },
+  umbrella: {
+    hours: 12,
+    pop: 0.4,
+    rain: 0.3,
+  },
+  exercise: {
+    temp: [5, 22],
+    maxWind: 8,
+    maxPop: 0.3,
+    maxAqi: 100,
+    maxHumidity: 80,
+    // Slots scoring at least this join the window around the best slot
+    minScore: 60,
+  },
+  laundry: {
+    minTemp: 12,
+    maxHumidity: 70,
+    maxPop: 0.2,
+    // Dry daytime hours in a row for a full load to dry outside
+    minHours: 4,
+  },
+  commute: {
+    hours: 12,
+    // mm per hour
+    rain: [[15, "high"], [4, "moderate"]],
+    gust: [[20, "high"], [14, "moderate"]],
+    // metres; lower is worse
+    visibility: [[200, "high"], [1000, "moderate"]],
+    iceTemp: 1,
+    heat: [[45, "high"], [40, "moderate"]],
+  },
+  // Score penalties per unit outside an activity's comfort range (scores are 0-100)
+  scoring: {
+    perDegree: 4,
+    perWind: 6,
+    perPop: 80,
+    perAqi: 0.4,
+    perHumidity: 1,
+    thunderstorm: 70,
+    snow: 30,
+  },
+  activities: {
+    running: { name: "Running", temp: [5, 20], maxWind: 8, maxPop: 0.3, maxAqi: 100, maxHumidity: 80 },
+    cycling: { name: "Cycling", temp: [10, 26], maxWind: 6, maxPop: 0.2, maxAqi: 100 },
+    hiking: { name: "Hiking", temp: [8, 24], maxWind: 10, maxPop: 0.3, maxAqi: 150 },
+    picnic: { name: "Picnic", temp: [18, 30], maxWind: 5, maxPop: 0.1, maxAqi: 150 },
+    beach: { name: "Beach", temp: [24, 34], maxWind: 7, maxPop: 0.1, maxAqi: 150 },
+    gardening: { name: "Gardening", temp: [10, 28], maxWind: 8, maxPop: 0.4, maxAqi: 200 },
+    sightseeing: { name: "Sightseeing", temp: [10, 30], maxWind: 10, maxPop: 0.4, maxAqi: 200 },
+  },
+};
+
+// Built-in tuning for regions whose people are used to a different climate
+export const REGIONAL_RULES = {
+  IN: {
+    wear: {
+      layers: [
+        [10, "Warm jacket and a sweater"],
+        [18, "Light jacket or a shawl"],
+        [24, "Full sleeves"],
+        [null, "Light cotton clothes"],
+      ],
+    },
+    exercise: { temp: [12, 30], maxHumidity: 85 },
+    laundry: { maxHumidity: 75 },
+    activities: {
+      running: { temp: [12, 28], maxHumidity: 85 },
+      picnic: { temp: [18, 32] },
+      beach: { temp: [24, 36] },
+    },
+  },
+};
+
+const RATINGS = [[75, "great"], [50, "good"], [25, "fair"], [null, "poor"]];
+
+/**
+ * Rules per region: DEFAULT_RULES, then the file's "default" entry, then the
+ * region's built-in and file entries. The RECOMMENDATION_RULES file maps
+ * "default" or a country code to partial rules, e.g.
+ * { "GB": { "exercise": { "temp": [3, 18] } } }.
+ */
+export class RecommendationRules {
+  constructor({ env = process.env } = {}) {
+    this.file = env.RECOMMENDATION_RULES ? JSON.parse(readFileSync(env.RECOMMENDATION_RULES, "utf8")) : {};
+  }
+
+  /**
+   * { region, rules } for a location - region is its country code, or "default"
+   */
+  forLocation(location) {
+    const country = String(location?.country || "").toUpperCase();
+    const region = (REGIONAL_RULES[country] || this.file[country]) ? country : "default";
+    const rules = [this.file.default, REGIONAL_RULES[country], this.file[country]]
+      .filter(Boolean)
+      .reduce(mergeRules, DEFAULT_RULES);
+    return { region, rules };
+  }
+}
+
+/**
+ * Deep merge of plain objects; arrays and values in `override` replace the base
+ */
+export function mergeRules(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    out[key] = isObject && base?.[key] && typeof base[key] === "object" ? mergeRules(base[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Score one forecast slot 0-100 for an activity ({ temp: [min, max], maxWind,
+ * maxPop, maxAqi, maxHumidity }), with the issues that cost points
+ */
+export function scoreSlot(slot, activity, { aqi = null, scoring = DEFAULT_RULES.scoring } = {}) {
+  let score = 100;
+  const issues = [];
+  const feelsLike = slot.feelsLike ?? slot.temp;
+  const [low, high] = activity.temp;
+
+  if (feelsLike < low) {
+    score -= (low - feelsLike) * scoring.perDegree;
+    issues.push("too cold");
+  } else if (feelsLike > high) {
+    score -= (feelsLike - high) * scoring.perDegree;
+    issues.push("too hot");
+  }
+  if (activity.maxWind != null && (slot.windSpeed ?? 0) > activity.maxWind) {
+    score -= (slot.windSpeed - activity.maxWind) * scoring.perWind;
+    issues.push("windy");
+  }
+  if (activity.maxPop != null && (slot.pop ?? 0) > activity.maxPop) {
+    score -= (slot.pop - activity.maxPop) * scoring.perPop;
+    issues.push("rain likely");
+  }
+  if (activity.maxHumidity != null && slot.humidity > activity.maxHumidity) {
+    score -= (slot.humidity - activity.maxHumidity) * scoring.perHumidity;
+    issues.push("humid");
+  }
+  if (activity.maxAqi != null && aqi != null && aqi > activity.maxAqi) {
+    score -= (aqi - activity.maxAqi) * scoring.perAqi;
+    issues.push("poor air quality");
+  }
+  if (slot.condition?.main === "Thunderstorm") {
+    score -= scoring.thunderstorm;
+    issues.push("thunderstorms");
+  } else if (slot.condition?.main === "Snow" || slot.snow > 0) {
+    score -= scoring.snow;
+    issues.push("snow");
+  }
+
+  return { score: Math.max(0, Math.min(100, Math.round(score))), issues };
+}
+
+/**
+ * Advice from current conditions, the forecast and (optionally) an air quality
+ * summary and active alerts, all metric. Times are location-local "YYYY-MM-DD HH:mm".
+ *
+ * Returns { location, region, hours, wear, umbrella, exercise, laundry, commute, activities }.
+ */
+export function recommend({ current, forecast, airQuality = null, alerts = [], rules = DEFAULT_RULES, region = "default", now = Date.now() }) {
+  const hourly = hourlyForecast(forecast, rules.hours, now);
+  const slots = hourly.slots;
+  const daytime = slots.filter((s) => isDaytime(s, current, forecast.location, rules));
+  const aqi = airQuality?.aqi?.value ?? null;
+  const uv = airQuality?.uv?.value ?? null;
+  const within = (hours) => slots.filter((s) => Date.parse(s.time) < now + hours * 3600 * 1000);
+
+  const umbrella = adviseUmbrella(within(rules.umbrella.hours), rules.umbrella, hourly.intervalHours);
+  const context = { aqi, scoring: rules.scoring };
+
+  return {
+    location: forecast.location,
+    region,
+    hours: rules.hours,
+    wear: adviseWear(daytime.length ? daytime : slots, current, { umbrella, aqi, uv, rules: rules.wear }),
+    umbrella,
+    exercise: adviseExercise(daytime, rules.exercise, { ...context, uv, intervalHours: hourly.intervalHours }),
+    laundry: adviseLaundry(daytime, rules.laundry, hourly.intervalHours),
+    commute: adviseCommute(current, within(rules.commute.hours), alerts, rules.commute, hourly.intervalHours),
+    activities: Object.entries(rules.activities)
+      .map(([id, activity]) => scoreActivity(id, activity, daytime, context))
+      .sort((a, b) => b.score - a.score),
+  };
+}
+
+/**
+ * Fetch what recommend() needs for a resolved location. Current conditions and
+ * the forecast are required; air quality and alerts are left out when unavailable.
+ */
+export async function getRecommendations(provider, location, { rules = new RecommendationRules() } = {}) {
+  const [current, forecast, airQuality, alerts] = await Promise.all([
+    provider.getCurrent(location),
+    provider.getForecast(location),
+    provider.getAirQuality(location).then(summarizeAirQuality).catch(() => null),
+    getActiveAlerts(provider, location).then((r) => r.alerts).catch(() => []),
+  ]);
+  const { region, rules: regionRules } = rules.forLocation(forecast.location);
+
+  return {
+    ...recommend({ current, forecast, airQuality, alerts, rules: regionRules, region }),
+    provider: forecast.provider,
+    ...(forecast.cache && { cache: forecast.cache }),
+  };
+}
+
+function adviseWear(slots, current, { umbrella, aqi, uv, rules }) {
+  const feels = [current.feelsLike ?? current.temp, ...slots.map((s) => s.feelsLike ?? s.temp)];
+  const tempMin = Math.min(...feels);
+  const tempMax = Math.max(...feels);
+  const clothes = rules.layers.find(([max]) => max == null || tempMin < max)[1];
+  const windMax = Math.max(current.windSpeed ?? 0, ...slots.map((s) => s.windSpeed ?? 0));
+  const rain = sum(slots.map((s) => s.rain || 0));
+
+  const extras = [];
+  if (tempMax - tempMin >= rules.layerSpread) extras.push("Dress in layers - it warms up through the day");
+  if (umbrella.needed) extras.push("Umbrella or raincoat");
+  if (rain >= rules.waterproofShoesRain) extras.push("Waterproof shoes");
+  if (windMax >= rules.windproofWind) extras.push("Windproof outer layer");
+  if (uv != null && uv >= rules.hatUv) extras.push("Sun hat and sunglasses");
+  if (uv != null && uv >= rules.sunscreenUv) extras.push("Sunscreen");
+  if (aqi != null && aqi >= rules.maskAqi) extras.push("N95 mask outdoors");
+
+  return { clothes, extras, feelsLike: { tempMin: round(tempMin), tempMax: round(tempMax) } };
+}
+
+function adviseUmbrella(slots, rules, intervalHours) {
+  const wet = slots.filter((s) =>
+    (s.pop ?? 0) >= rules.pop &&
+    ((s.rain || 0) >= rules.rain || ["Rain", "Drizzle", "Thunderstorm"].includes(s.condition?.main))
+  );
+  const chance = Math.max(0, ...slots.map((s) => s.pop ?? 0));
+
+  return {
+    needed: wet.length > 0,
+    chance: Math.round(chance * 100) / 100,
+    rain: round(sum(wet.map((s) => s.rain || 0))),
+    from: wet[0]?.localTime || null,
+    to: wet.length ? endTime(wet.at(-1), intervalHours) : null,
+  };
+}
+
+function adviseExercise(daytime, rules, { aqi, uv, scoring, intervalHours }) {
+  const scored = daytime.map((s) => ({ slot: s, ...scoreSlot(s, rules, { aqi, scoring }) }));
+  if (!scored.length) return { window: null, score: 0, issues: ["no daylight hours in the forecast window"] };
+
+  // Best slot, widened to neighbours that are nearly as good
+  const best = scored.reduce((a, b) => (b.score > a.score ? b : a));
+  let first = scored.indexOf(best);
+  let last = first;
+  while (first > 0 && scored[first - 1].score >= rules.minScore && contiguous(scored[first - 1].slot, scored[first].slot, intervalHours)) first--;
+  while (last < scored.length - 1 && scored[last + 1].score >= rules.minScore && contiguous(scored[last].slot, scored[last + 1].slot, intervalHours)) last++;
+
+  const issues = [...best.issues];
+  if (uv != null && uv >= 6) issues.push("strong midday sun - go early or late");
+
+  return {
+    window: best.score >= rules.minScore
+      ? { from: scored[first].slot.localTime, to: endTime(scored[last].slot, intervalHours) }
+      : null,
+    score: best.score,
+    issues,
+  };
+}
+
+function adviseLaundry(daytime, rules, intervalHours) {
+  const dry = (s) =>
+    (s.pop ?? 0) <= rules.maxPop && !(s.rain > 0) && !(s.snow > 0) &&
+    s.temp >= rules.minTemp && s.humidity <= rules.maxHumidity;
+
+  // Longest run of drying-friendly daytime slots
+  let best = [];
+  let run = [];
+  for (const slot of daytime) {
+    if (!dry(slot)) {
+      run = [];
+      continue;
+    }
+    run = run.length && contiguous(run.at(-1), slot, intervalHours) ? [...run, slot] : [slot];
+    if (run.length > best.length) best = run;
+  }
+
+  const hours = best.length * intervalHours;
+  const verdict = hours >= rules.minHours ? "good" : hours >= rules.minHours / 2 ? "fair" : "poor";
+  const reasons = [];
+  if (daytime.some((s) => (s.pop ?? 0) > rules.maxPop || s.rain > 0)) reasons.push("rain in the forecast");
+  if (daytime.some((s) => s.humidity > rules.maxHumidity)) reasons.push("humid air slows drying");
+  if (daytime.some((s) => s.temp < rules.minTemp)) reasons.push("cool temperatures");
+
+  return {
+    verdict,
+    dryingHours: hours,
+    window: best.length ? { from: best[0].localTime, to: endTime(best.at(-1), intervalHours) } : null,
+    reasons: verdict === "good" ? [] : reasons,
+  };
+}
+
+// Factors carry the value behind them under its normalized field name, so
+// convertUnits turns them into the caller's units (rain is per hour)
+function adviseCommute(current, slots, alerts, rules, intervalHours) {
+  const factors = [];
+  const add = (level, reason, value = {}) => level && factors.push({ level, reason, ...value });
+  const points = [current, ...slots];
+
+  const rainRate = Math.max(current.rain || 0, ...slots.map((s) => (s.rain || 0) / intervalHours));
+  add(atLeast(rules.rain, rainRate), "heavy rain", { rain: round(rainRate) });
+
+  const gust = Math.max(...points.map((p) => p.windGust ?? p.windSpeed ?? 0));
+  add(atLeast(rules.gust, gust), "strong gusts", { windGust: round(gust) });
+
+  const visibilities = points.map((p) => p.visibility).filter((v) => v != null);
+  const visibility = visibilities.length ? Math.min(...visibilities) : null;
+  const fog = visibility == null ? null : rules.visibility.find(([max]) => visibility <= max)?.[1];
+  add(fog, "low visibility", { visibility });
+
+  if (points.some((p) => p.temp <= rules.iceTemp && ((p.rain || 0) > 0 || (p.snow || 0) > 0))) {
+    add("high", "icy roads possible");
+  } else if (points.some((p) => (p.snow || 0) > 0)) {
+    add("moderate", "snow");
+  }
+  if (points.some((p) => p.condition?.main === "Thunderstorm")) add("moderate", "thunderstorms");
+
+  const heat = Math.max(...points.map((p) => p.feelsLike ?? p.temp));
+  add(atLeast(rules.heat, heat), "extreme heat", { feelsLike: round(heat) });
+
+  for (const alert of alerts) {
+    const severity = SEVERITIES.indexOf(alert.severity);
+    add(severity >= 2 ? "high" : severity === 1 ? "moderate" : null, alert.event);
+  }
+
+  const risk = factors.reduce(
+    (worst, f) => (RISK_LEVELS.indexOf(f.level) > RISK_LEVELS.indexOf(worst) ? f.level : worst),
+    "low"
+  );
+  return { risk, factors };
+}
+
+function scoreActivity(id, activity, daytime, context) {
+  const scored = daytime.map((s) => ({ slot: s, ...scoreSlot(s, activity, context) }));
+  const best = scored.length
+    ? scored.reduce((a, b) => (b.score > a.score ? b : a))
+    : { score: 0, slot: null, issues: ["no daylight hours in the forecast window"] };
+  return {
+    id,
+    name: activity.name || id,
+    score: best.score,
+    rating: RATINGS.find(([min]) => min == null || best.score >= min)[1],
+    bestTime: best.slot?.localTime || null,
+    issues: best.issues,
+  };
+}
+
+/**
+ * Whether a slot falls in daylight, from the day's sunrise/sunset times
+ * (current conditions) or the rules' daylight hours
+ */
+function isDaytime(slot, current, location, rules) {
+  const offset = location.timezoneOffset || 0;
+  const minutes = (iso) => {
+    const d = new Date(Date.parse(iso) + offset * 1000);
+    return d.getUTCHours() * 60 + d.getUTCMinutes();
+  };
+  const start = current?.sunrise ? minutes(current.sunrise) : rules.daylight[0] * 60;
+  const end = current?.sunset ? minutes(current.sunset) : rules.daylight[1] * 60;
+  const t = minutes(slot.time);
+  return t >= start && t < end;
+}
+
+// Highest level whose threshold the value reaches, from [[threshold, level], ...] worst first
+function atLeast(levels, value) {
+  return levels.find(([min]) => value >= min)?.[1] || null;
+}
+
+function contiguous(a, b, intervalHours) {
+  return Date.parse(b.time) - Date.parse(a.time) <= intervalHours * 3600 * 1000;
+}
+
+// Local time a slot ends, same "YYYY-MM-DD HH:mm" form as localTime
+function endTime(slot, intervalHours) {
+  return new Date(Date.parse(`${slot.localTime.replace(" ", "T")}:00Z`) + intervalHours * 3600 * 1000)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ");
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -85,6 +85,28 @@ export class StreamManager extends EventEmitter {
     return result;
   }
 
+  /**
+   * Cancel a stream - keeps the text streamed so far
+   */
+  async cancelStream(streamId) {
+    const stream = this.activeStreams.get(streamId);
+    if (!stream) {
+      return null;
+    }
+
+    stream.status = "cancelled";
+
+    await this.redisClient.xAdd(streamId, '*', {
+      type: 'cancelled',
+      timestamp: Date.now().toString()
+    });
+
+    const result = { ...stream };
+    this.activeStreams.delete(streamId);
+
+    return result;
+  }
+
   /**
    * Resume a stream - get all accumulated text
    */
@@ -117,6 +139,8 @@ export class StreamManager extends EventEmitter {
           accumulatedText += data.content;
         } else if (data.type === 'complete') {
           status = "completed";
+        } else if (data.type === 'cancelled') {
+          status = "cancelled";
         }
       }
 
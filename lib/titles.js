@@ -0,0 +1,55 @@
+// lib/titles.js
+// Short descriptive conversation titles generated from the first exchange
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+
+export const DEFAULT_TITLE = "New Chat";
+
+const MAX_TITLE_LENGTH = 60;
+// Enough of each message to tell what the conversation is about
+const EXCERPT_LENGTH = 600;
+
+const TITLE_PROMPT = `
+You name conversations between a user and a weather assistant. Reply with a title of
+3 to 6 words that says what the user wants, naming the place and time when there is one,
+e.g. "Pune monsoon weekend plan" or "Tokyo air quality for a run". No quotes, no trailing
+punctuation, no emoji. Reply with the title only.
+`;
+
+/**
+ * Tidy a model reply into a title: first line, no "Title:" prefix, quotes or
+ * trailing punctuation, at most MAX_TITLE_LENGTH characters on a word boundary.
+ * Null when nothing usable is left.
+ */
+export function cleanTitle(text = "") {
+  let title = text.trim().split("\n")[0]
+    .replace(/^title\s*:\s*/i, "")
+    .replace(/^["'`*#\s]+|["'`*\s]+$/g, "")
+    .replace(/[.!?:;,]+$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (title.length > MAX_TITLE_LENGTH) {
+    const cut = title.slice(0, MAX_TITLE_LENGTH + 1);
+    title = cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : MAX_TITLE_LENGTH).trim();
+  }
+  return title || null;
+}
+
+/**
+ * Title for a conversation from its first user message and reply, or null
+ * when the model returns nothing usable. onUsage gets the call's usage_metadata.
+ */
+export async function generateTitle({ llm, userMessage, reply = "", signal, onUsage = () => {} }) {
+  const response = await llm.invoke([
+    new SystemMessage(TITLE_PROMPT),
+    new HumanMessage(
+      `User: ${userMessage.slice(0, EXCERPT_LENGTH)}\n\nAssistant: ${reply.slice(0, EXCERPT_LENGTH)}`
+    ),
+  ], { signal });
+  await onUsage(response.usage_metadata);
+
+  const text = typeof response.content === "string"
+    ? response.content
+    : response.content.map((c) => c.text || "").join("");
+  return cleanTitle(text);
+}
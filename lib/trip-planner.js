@@ -0,0 +1,150 @@
+// lib/trip-planner.js
+// Multi-stop trip planning - forecast days per itinerary leg, with risky legs flagged
+import { dailyInRange, summarizeDays } from "./compare.js";
+import { getActiveAlerts, SEVERITIES } from "./alerts.js";
+import { localDate, validateDateRange } from "./forecast.js";
+import { resolveLocation, formatLocationLabel } from "./geocoding.js";
+
+export const MAX_TRIP_LEGS = 10;
+export const LEG_STATUSES = ["forecast", "partial", "unknown", "error"];
+export const TRIP_RISKS = ["low", "moderate", "high"];
+
+// Daily thresholds per leg day (metric), worst level first; `below` flags low values
+const LEG_RULES = [
+  { metric: "rain", reason: "Heavy rain", levels: [[64.5, "high"], [15.6, "moderate"]] },
+  { metric: "snow", reason: "Snow", levels: [[10, "high"], [1, "moderate"]] },
+  { metric: "tempMax", reason: "Extreme heat", levels: [[42, "high"], [38, "moderate"]] },
+  { metric: "tempMin", reason: "Freezing", below: true, levels: [[-10, "high"], [0, "moderate"]] },
+  { metric: "windMax", reason: "Strong wind", levels: [[17, "high"], [10.8, "moderate"]] },
+];
+
+/**
+ * Check an itinerary: 1-MAX_TRIP_LEGS legs, each a place (same fields as the
+ * other location tools) with startDate and optional endDate (YYYY-MM-DD, local).
+ * An error string, or null when valid.
+ */
+export function validateItinerary(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) return "legs must be a non-empty list";
+  if (legs.length > MAX_TRIP_LEGS) return `At most ${MAX_TRIP_LEGS} legs per trip`;
+
+  for (const [i, leg] of legs.entries()) {
+    const n = i + 1;
+    if (!leg || !(leg.city || leg.postalCode || (leg.lat != null && leg.lon != null))) {
+      return `leg ${n}: city, postalCode or lat/lon required`;
+    }
+    if (!leg.startDate) return `leg ${n}: startDate required`;
+    const error = validateDateRange(leg.startDate, leg.endDate);
+    if (error) return `leg ${n}: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Risk flags for one leg: daily thresholds, thunderstorm days and alerts that
+ * overlap the leg. Each flag is { level, reason, date }
+ * plus the value behind it under its field name, so convertUnits can convert it.
+ */
+export function legFlags(days, alerts = [], { from, to, timezoneOffset = 0 } = {}) {
+  const flags = [];
+
+  for (const day of days) {
+    for (const rule of LEG_RULES) {
+      const value = day[rule.metric];
+      const level = rule.levels.find(([threshold]) => (rule.below ? value <= threshold : value >= threshold));
+      if (level) flags.push({ level: level[1], reason: rule.reason, date: day.date, [rule.metric]: value });
+    }
+    if (day.condition.main === "Thunderstorm") {
+      flags.push({ level: "moderate", reason: "Thunderstorms", date: day.date });
+    }
+  }
+
+  for (const alert of alerts) {
+    const start = alert.start ? localDate(alert.start, timezoneOffset) : from;
+    const end = alert.end ? localDate(alert.end, timezoneOffset) : to;
+    if (start > to || end < from) continue;
+    flags.push({
+      level: SEVERITIES.indexOf(alert.severity) >= 2 ? "high" : "moderate",
+      reason: alert.event,
+      date: start < from ? from : start,
+      alert: { id: alert.id, severity: alert.severity, source: alert.source },
+    });
+  }
+
+  return flags.sort((a, b) => TRIP_RISKS.indexOf(b.level) - TRIP_RISKS.indexOf(a.level) || a.date.localeCompare(b.date));
+}
+
+/**
+ * Weather for each leg of an itinerary (see validateItinerary).
+ *
+ * Legs are fetched in parallel. A leg whose dates have no forecast days is
+ * "unknown" with risk null and unknownReason "past" or "beyond_forecast"; one that
+ * is only partly covered is "partial" and lists the missing dates. A leg that
+ * fails gets status "error" instead of failing the whole plan.
+ *
+ * Returns { legs, risk, unknownLegs } - risk is the worst known leg risk.
+ */
+export async function planTrip(provider, legs) {
+  const results = await Promise.all(
+    legs.map(async ({ startDate, endDate, ...query }, index) => {
+      const label = query.city || query.postalCode || `${query.lat}, ${query.lon}`;
+      const leg = { leg: index + 1, query: label, from: startDate, to: endDate || startDate };
+      try {
+        const resolution = await resolveLocation(provider, query);
+        if (!resolution.location) {
+          return { ...leg, status: "error", location: null, error: `No place matches "${label}"`, candidates: resolution.candidates };
+        }
+
+        const forecast = await provider.getForecast(resolution.location);
+        const range = dailyInRange(forecast, leg.from, leg.to);
+        const location = { ...forecast.location, label: formatLocationLabel(forecast.location) };
+        const base = {
+          ...leg,
+          location,
+          ambiguous: resolution.ambiguous,
+          ...(resolution.ambiguous && { candidates: resolution.candidates }),
+          missing: range.missing,
+        };
+
+        if (range.days.length === 0) {
+          const today = localDate(new Date().toISOString(), forecast.location.timezoneOffset);
+          return {
+            ...base,
+            status: "unknown",
+            unknownReason: leg.to < today ? "past" : "beyond_forecast",
+            days: [],
+            summary: null,
+            risk: null,
+            flags: [],
+          };
+        }
+
+        // Derived warnings come from the same forecast days the leg rules already check
+        const { alerts, source } = await getActiveAlerts(provider, resolution.location)
+          .catch(() => ({ alerts: [], source: null }));
+        const flags = legFlags(range.days, source === "official" ? alerts : [], {
+          ...leg,
+          timezoneOffset: forecast.location.timezoneOffset,
+        });
+        return {
+          ...base,
+          status: range.missing.length ? "partial" : "forecast",
+          days: range.days,
+          summary: summarizeDays(range.days),
+          risk: flags[0]?.level || "low",
+          flags,
+        };
+      } catch (err) {
+        return { ...leg, status: "error", location: null, error: err.message, code: err.code };
+      }
+    })
+  );
+
+  const risks = results.map((r) => r.risk).filter(Boolean);
+  return {
+    legs: results,
+    risk: risks.length
+      ? risks.reduce((worst, r) => (TRIP_RISKS.indexOf(r) > TRIP_RISKS.indexOf(worst) ? r : worst))
+      : null,
+    unknownLegs: results.filter((r) => r.status === "unknown").length,
+  };
+}
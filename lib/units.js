@@ -0,0 +1,112 @@
+// lib/units.js
+// Unit systems - providers and aggregators work in metric, conversion happens
+// once on the way out (tool text, tool artifacts and REST responses)
+
+export const UNIT_SYSTEMS = ["metric", "imperial", "standard"];
+
+const LABELS = {
+  metric: { temperature: "°C", speed: "m/s", pressure: "hPa", distance: "km", precipitation: "mm" },
+  imperial: { temperature: "°F", speed: "mph", pressure: "inHg", distance: "mi", precipitation: "in" },
+  standard: { temperature: "K", speed: "m/s", pressure: "hPa", distance: "m", precipitation: "mm" },
+};
+
+// Normalized field name -> quantity
+const FIELDS = {
+  temp: "temperature",
+  feelsLike: "temperature",
+  tempMin: "temperature",
+  tempMax: "temperature",
+  windSpeed: "speed",
+  windGust: "speed",
+  windMax: "speed",
+  pressure: "pressure",
+  visibility: "distance",
+  rain: "precipitation",
+  snow: "precipitation",
+};
+
+// Payload keys holding no weather values - places, cache metadata, alerts
+// (converted by lib/alerts.js) and unit labels - copied as they are
+const PASS_THROUGH = new Set(["location", "candidates", "cache", "alert", "alerts", "units"]);
+
+// Metric value (°C, m/s, hPa, metres, mm) -> target system
+const CONVERT = {
+  metric: {
+    temperature: (c) => round(c, 1),
+    speed: (ms) => round(ms, 1),
+    pressure: (hpa) => Math.round(hpa),
+    distance: (m) => round(m / 1000, 1),
+    precipitation: (mm) => round(mm, 1),
+  },
+  imperial: {
+    temperature: (c) => round((c * 9) / 5 + 32, 1),
+    speed: (ms) => round(ms * 2.236936, 1),
+    pressure: (hpa) => round(hpa * 0.02953, 2),
+    distance: (m) => round(m / 1609.344, 1),
+    precipitation: (mm) => round(mm / 25.4, 2),
+  },
+  standard: {
+    temperature: (c) => round(c + 273.15, 1),
+    speed: (ms) => round(ms, 1),
+    pressure: (hpa) => Math.round(hpa),
+    distance: (m) => Math.round(m),
+    precipitation: (mm) => round(mm, 1),
+  },
+};
+
+/**
+ * Map user input ("F", "fahrenheit", "imperial", ...) to a unit system, or null
+ */
+export function parseUnits(value) {
+  if (!value) return null;
+  const v = String(value).trim().toLowerCase();
+  if (UNIT_SYSTEMS.includes(v)) return v;
+  if (["c", "celsius", "si"].includes(v)) return "metric";
+  if (["f", "fahrenheit", "us"].includes(v)) return "imperial";
+  if (["k", "kelvin"].includes(v)) return "standard";
+  return null;
+}
+
+/**
+ * Labels for a unit system: { system, temperature, speed, pressure, distance, precipitation }
+ */
+export function describeUnits(system = "metric") {
+  const units = parseUnits(system) || "metric";
+  return { system: units, ...LABELS[units] };
+}
+
+/**
+ * Convert every known quantity in a normalized payload (current, forecast,
+ * daily, hourly, comparison, history...) from metric to `system`, and label
+ * the result with a top-level `units` object. Only plain objects and arrays are
+ * walked; Dates and other instances, and PASS_THROUGH keys, are kept as they are.
+ */
+export function convertUnits(data, system = "metric") {
+  const units = parseUnits(system) || "metric";
+  const convert = CONVERT[units];
+
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (!isPlainObject(value)) return value;
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (PASS_THROUGH.has(key)) out[key] = v;
+      else out[key] = FIELDS[key] && typeof v === "number" ? convert[FIELDS[key]](v) : walk(v);
+    }
+    return out;
+  };
+
+  return { ...walk(data), units: describeUnits(units) };
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
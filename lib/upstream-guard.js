@@ -0,0 +1,132 @@
+// lib/upstream-guard.js
+// Request budget and circuit breaker shared by the HTTP weather providers
+import { WeatherProviderError } from "./providers/base.js";
+
+/**
+ * Guards calls to a weather vendor (see fetchJson in lib/providers/base.js).
+ *
+ * acquire() runs before every upstream request: it fails with quota_exceeded
+ * once the per-minute or per-day budget (counted in Redis, so shared by every
+ * server instance) is spent, and with upstream_down while the circuit is open.
+ * The circuit opens after `failureThreshold` consecutive upstream_down
+ * failures and lets one trial request through after `cooldownMs`.
+ */
+export class UpstreamGuard {
+  constructor({ name, redisClient, perMinute = 0, perDay = 0, failureThreshold = 5, cooldownMs = 60 * 1000 }) {
+    this.name = name;
+    this.redisClient = redisClient;
+    this.perMinute = perMinute; // 0 = unlimited
+    this.perDay = perDay;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  get circuit() {
+    if (this.failures < this.failureThreshold) return "closed";
+    return Date.now() < this.openUntil ? "open" : "half_open";
+  }
+
+  async acquire() {
+    const circuit = this.circuit;
+    if (circuit === "open" || (circuit === "half_open" && this.trialInFlight)) {
+      throw new WeatherProviderError(`${this.name} is unavailable, retrying shortly`, {
+        code: "upstream_down",
+        status: 503,
+        retryAfter: Math.max(1, Math.ceil((this.openUntil - Date.now()) / 1000)),
+      });
+    }
+    if (circuit === "half_open") this.trialInFlight = true;
+
+    try {
+      await this.spend();
+    } catch (err) {
+      this.trialInFlight = false;
+      throw err;
+    }
+  }
+
+  success() {
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  failure(err) {
+    this.trialInFlight = false;
+    if (err?.code !== "upstream_down") return;
+
+    this.failures += 1;
+    if (this.failures >= this.failureThreshold) {
+      this.openUntil = Date.now() + this.cooldownMs;
+      console.warn(`⚠️ ${this.name} circuit open for ${this.cooldownMs / 1000}s after ${this.failures} failures`);
+    }
+  }
+
+  /**
+   * Count one request against the minute and day budgets
+   */
+  async spend() {
+    if (!this.perMinute && !this.perDay) return;
+    if (!this.redisClient?.isOpen) return; // no shared counter - don't block lookups
+
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const minute = now.toISOString().slice(0, 16);
+    const minuteKey = `quota:${this.name}:minute:${minute}`;
+    const dayKey = `quota:${this.name}:day:${day}`;
+
+    let minuteCount, dayCount;
+    try {
+      [minuteCount, , dayCount] = await this.redisClient
+        .multi()
+        .incr(minuteKey)
+        .expire(minuteKey, 120)
+        .incr(dayKey)
+        .expire(dayKey, 2 * 24 * 60 * 60)
+        .exec();
+    } catch (err) {
+      console.error('⚠️ Quota counter failed:', err.message);
+      return;
+    }
+
+    if (this.perMinute && minuteCount > this.perMinute) {
+      throw new WeatherProviderError(`${this.name} per-minute request limit reached`, {
+        code: "quota_exceeded",
+        status: 429,
+        retryAfter: 60 - now.getUTCSeconds(),
+      });
+    }
+    if (this.perDay && dayCount > this.perDay) {
+      const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+      throw new WeatherProviderError(`${this.name} daily request limit reached`, {
+        code: "quota_exceeded",
+        status: 429,
+        retryAfter: Math.ceil((midnight - now.getTime()) / 1000),
+      });
+    }
+  }
+
+  /**
+   * Snapshot for /api/health
+   */
+  async status() {
+    const now = new Date().toISOString();
+    let usage = null;
+    if (this.redisClient?.isOpen) {
+      const [minute, day] = await this.redisClient
+        .mGet([`quota:${this.name}:minute:${now.slice(0, 16)}`, `quota:${this.name}:day:${now.slice(0, 10)}`])
+        .catch(() => [null, null]);
+      usage = { minute: Number(minute) || 0, day: Number(day) || 0 };
+    }
+
+    return {
+      circuit: this.circuit,
+      failures: this.failures,
+      usage,
+      limits: { perMinute: this.perMinute || null, perDay: this.perDay || null },
+    };
+  }
+}
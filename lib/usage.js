@@ -0,0 +1,53 @@
+// lib/usage.js
+// Token usage accounting and pricing for chat model calls
+import { readFileSync } from "fs";
+
+// USD per million tokens, keyed by model id (see lib/models.js)
+export const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+};
+
+export function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 };
+}
+
+/**
+ * Add one call's LangChain usage_metadata ({ input_tokens, output_tokens,
+ * total_tokens }) to `usage` in place. Calls without metadata still count.
+ */
+export function addUsage(usage, metadata) {
+  const prompt = metadata?.input_tokens || 0;
+  const completion = metadata?.output_tokens || 0;
+  usage.promptTokens += prompt;
+  usage.completionTokens += completion;
+  usage.totalTokens += metadata?.total_tokens || prompt + completion;
+  usage.calls += 1;
+  return usage;
+}
+
+/**
+ * Per-model prices: DEFAULT_PRICES, overridden by the JSON file at
+ * MODEL_PRICES ({ "<model id>": { "input": 0.15, "output": 0.6 } }).
+ * Models without a price cost 0 and are reported as unpriced.
+ */
+export class PriceTable {
+  constructor({ env = process.env } = {}) {
+    const file = env.MODEL_PRICES ? JSON.parse(readFileSync(env.MODEL_PRICES, "utf8")) : {};
+    this.prices = { ...DEFAULT_PRICES, ...file };
+  }
+
+  has(model) {
+    return Boolean(this.prices[model]);
+  }
+
+  /**
+   * USD for `usage` on `model`, rounded to a millionth of a dollar
+   */
+  cost(model, usage) {
+    const price = this.prices[model];
+    if (!price) return 0;
+    const usd = (usage.promptTokens * (price.input || 0) + usage.completionTokens * (price.output || 0)) / 1e6;
+    return Math.round(usd * 1e6) / 1e6;
+  }
+}
@@ -0,0 +1,137 @@
+// lib/weather-cache.js
+// Redis cache in front of a weather provider, with single-flight deduplication
+import { WeatherProvider } from "./providers/base.js";
+
+// Seconds each data type stays fresh
+export const CACHE_TTLS = {
+  geocode: 7 * 24 * 60 * 60,
+  current: 10 * 60,
+  forecast: 30 * 60,
+  airQuality: 30 * 60,
+  alerts: 10 * 60,
+  history: 24 * 60 * 60,
+};
+
+// Expired entries are kept this much longer, to serve while the vendor is unavailable
+export const STALE_TTL = 24 * 60 * 60;
+
+// Vendor failures that fall back to a stale entry
+const STALE_ON = ["quota_exceeded", "upstream_down"];
+
+// ~1 km, so nearby coordinates for the same place share an entry
+const coordKey = ({ lat, lon }) => `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+
+const queryKey = (query) =>
+  ["city", "state", "country", "postalCode"]
+    .map((k) => String(query[k] ?? "").trim().toLowerCase())
+    .join("|");
+
+/**
+ * Wraps a WeatherProvider and caches its results in Redis.
+ *
+ * Keys are `weather:<provider>:<type>:<location>`. Providers always return
+ * metric data and conversion happens on the way out (lib/units.js), so one
+ * entry serves every unit system. Object results get a
+ * `cache: { hit, stale, fetchedAt, ageSeconds }` field so callers can say how old
+ * the data is. Concurrent misses for the same key share one upstream call,
+ * and a Redis outage falls through to the provider. When the vendor is over
+ * quota or down, the last value is served with `cache.stale: true`.
+ */
+export class CachedWeatherProvider extends WeatherProvider {
+  constructor({ provider, redisClient, ttls = {}, prefix = "weather" }) {
+    super(provider.name);
+    this.provider = provider;
+    this.redisClient = redisClient;
+    this.ttls = { ...CACHE_TTLS, ...ttls };
+    this.prefix = prefix;
+    this.inflight = new Map(); // cacheKey -> Promise<{ value, fetchedAt }>
+  }
+
+  geocode(query) {
+    return this.cached("geocode", queryKey(query), () => this.provider.geocode(query));
+  }
+
+  getCurrent(location) {
+    return this.cached("current", coordKey(location), () => this.provider.getCurrent(location));
+  }
+
+  getForecast(location) {
+    return this.cached("forecast", coordKey(location), () => this.provider.getForecast(location));
+  }
+
+  getHistory(location, range) {
+    return this.cached(
+      "history",
+      `${coordKey(location)}:${range.from}:${range.to}`,
+      () => this.provider.getHistory(location, range)
+    );
+  }
+
+  getAirQuality(location) {
+    return this.cached("airQuality", coordKey(location), () => this.provider.getAirQuality(location));
+  }
+
+  getAlerts(location) {
+    return this.cached("alerts", coordKey(location), () => this.provider.getAlerts(location));
+  }
+
+  /**
+   * Serve `type`/`key` from Redis, or call `fetch` once for all concurrent callers
+   */
+  async cached(type, key, fetch) {
+    const cacheKey = `${this.prefix}:${this.name}:${type}:${key}`;
+    const ttl = this.ttls[type];
+
+    const entry = await this.read(cacheKey);
+    if (entry && Date.now() - Date.parse(entry.fetchedAt) < ttl * 1000) {
+      return annotate(entry.value, { hit: true }, entry.fetchedAt);
+    }
+
+    if (!this.inflight.has(cacheKey)) {
+      const request = (async () => {
+        const value = await fetch();
+        const fetchedAt = new Date().toISOString();
+        await this.write(cacheKey, { value, fetchedAt }, ttl + STALE_TTL);
+        return { value, fetchedAt };
+      })().finally(() => this.inflight.delete(cacheKey));
+
+      this.inflight.set(cacheKey, request);
+    }
+
+    try {
+      const { value, fetchedAt } = await this.inflight.get(cacheKey);
+      return annotate(value, { hit: false }, fetchedAt);
+    } catch (err) {
+      if (!entry || !STALE_ON.includes(err.code)) throw err;
+      console.warn(`⚠️ Serving stale ${type} for ${key}: ${err.message}`);
+      return annotate(entry.value, { hit: true, stale: true, reason: err.code }, entry.fetchedAt);
+    }
+  }
+
+  async read(cacheKey) {
+    if (!this.redisClient?.isOpen) return null;
+    try {
+      const raw = await this.redisClient.get(cacheKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.error('⚠️ Weather cache read failed:', err.message);
+      return null;
+    }
+  }
+
+  async write(cacheKey, entry, ttl) {
+    if (!this.redisClient?.isOpen) return;
+    try {
+      await this.redisClient.setEx(cacheKey, ttl, JSON.stringify(entry));
+    } catch (err) {
+      console.error('⚠️ Weather cache write failed:', err.message);
+    }
+  }
+}
+
+// Copy, so callers sharing one in-flight result never see each other's edits
+function annotate(value, { hit, stale = false, reason }, fetchedAt) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  const ageSeconds = Math.max(0, Math.round((Date.now() - Date.parse(fetchedAt)) / 1000));
+  return { ...value, cache: { hit, stale, ...(reason && { reason }), fetchedAt, ageSeconds } };
+}
@@ -0,0 +1,290 @@
+// lib/weather-format.js
+// Text renderers for normalized weather data handed to the LLM
+//
+// Payloads are expected to have been through lib/units.js convertUnits; the
+// `units` labels it adds are used throughout, metric when absent.
+import { formatLocationLabel } from "./geocoding.js";
+import { describeUnits } from "./units.js";
+
+const POLLUTANT_LABELS = { pm2_5: "PM2.5", pm10: "PM10", o3: "O3", no2: "NO2" };
+
+/**
+ * "as of N minutes ago" line for cached data (see lib/weather-cache.js), empty when fresh
+ */
+function formatAge(data) {
+  const age = data.cache?.ageSeconds;
+  if (age == null || (age < 60 && !data.cache.stale)) return "";
+  const minutes = Math.round(age / 60);
+  const ago = minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+  if (data.cache.stale) {
+    const why = data.cache.reason === "quota_exceeded" ? "is over its request limit" : "is unavailable";
+    return `\n⚠️ The weather service ${why}; this is the last known data, from ${ago} ago`;
+  }
+  return `\n🕒 Data as of ${ago} ago (cached)`;
+}
+
+// What to tell the user for each WeatherProviderError code
+const ERROR_MESSAGES = {
+  quota_exceeded: "The weather service's request limit has been reached",
+  upstream_down: "The weather service is not responding right now",
+  misconfigured: "Weather lookups are not set up correctly on this server (API key missing or rejected)",
+};
+
+/**
+ * Tool-facing text for a failed lookup, e.g. formatWeatherError('weather for "Pune"', err)
+ */
+export function formatWeatherError(what, err) {
+  if (ERROR_MESSAGES[err?.code]) {
+    const retry = err.retryAfter ? ` Try again in about ${Math.max(1, Math.round(err.retryAfter / 60))} min.` : "";
+    return `Could not get ${what}: ${ERROR_MESSAGES[err.code]}.${retry}`;
+  }
+  if (["not_found", "invalid_location", "invalid_date", "not_supported"].includes(err?.code)) {
+    return `Could not get ${what}. ${err.message}.`;
+  }
+  return `Error looking up ${what}.`;
+}
+
+/**
+ * Current conditions as a short emoji summary
+ */
+export function formatCurrent(current) {
+  const u = current.units || describeUnits();
+  const visibility = current.visibility == null ? "" : `\n👁 Visibility: ${current.visibility} ${u.distance}`;
+  const precip = current.rain || current.snow ? `\n🌧 Last hour: ${current.rain || current.snow} ${u.precipitation}` : "";
+
+  return `Current weather in ${formatLocationLabel(current.location)}:
+🌡 Temp: ${current.temp}${u.temperature} (feels like ${current.feelsLike}${u.temperature})
+☁️ ${current.condition.description}
+💧 Humidity: ${current.humidity}%
+💨 Wind: ${current.windSpeed} ${u.speed}
+🧭 Pressure: ${current.pressure} ${u.pressure}${visibility}${precip}${formatAge(current)}`;
+}
+
+/**
+ * One daily entry (forecast or history) as a short block
+ */
+function formatDay(d, u) {
+  const weekday = new Date(`${d.date}T00:00:00Z`).toLocaleDateString("en-US", { weekday: "short", timeZone: "UTC" });
+  const precip = [d.rain && `rain ${d.rain} ${u.precipitation}`, d.snow && `snow ${d.snow} ${u.precipitation}`].filter(Boolean).join(", ") || "no rain";
+  const chance = d.pop == null ? "" : `, chance ${Math.round(d.pop * 100)}%`;
+  const partial = d.hoursCovered < 24 ? ` (data covers ${d.hoursCovered}h of this day)` : "";
+  return `📅 ${weekday} ${d.date}${partial}
+🌡 Low ${d.tempMin}${u.temperature} / High ${d.tempMax}${u.temperature}
+☁️ ${d.condition.description}
+🌧 ${precip}${chance}
+💨 Max wind: ${d.windMax} ${u.speed}
+`;
+}
+
+/**
+ * Daily forecast (see lib/forecast.js aggregateDaily) as one block per local day
+ */
+export function formatDailyForecast(daily, days = 5) {
+  const u = daily.units || describeUnits();
+  const forecastList = daily.days.slice(0, days).map((d) => formatDay(d, u)).join("\n");
+
+  return `🌦 ${Math.min(days, daily.days.length)}-Day Forecast for **${formatLocationLabel(daily.location)}** (local dates):\n\n${forecastList}${formatAge(daily)}`;
+}
+
+/**
+ * Observed past weather (see lib/history.js getHistoricalWeather)
+ */
+export function formatHistory(history) {
+  const u = history.units || describeUnits();
+  const place = formatLocationLabel(history.location);
+  const range = history.from === history.to ? history.from : `${history.from} → ${history.to}`;
+  const missing = history.missing.length ? `\nℹ️ No observations for ${history.missing.join(", ")}` : "";
+
+  if (history.days.length === 0) {
+    return `🕰 No observed weather for ${place} on ${range}.${missing}`;
+  }
+
+  return `🕰 Observed weather for **${place}** (${range}, local dates):\n\n${history.days.map((d) => formatDay(d, u)).join("\n")}${missing}`;
+}
+
+/**
+ * Hourly slots (see lib/forecast.js hourlyForecast), one line per slot
+ */
+export function formatHourlyForecast(hourly) {
+  const u = hourly.units || describeUnits();
+  const lines = hourly.slots.map((s) => {
+    const precip = s.rain || s.snow ? ` 🌧 ${s.rain || s.snow} ${u.precipitation}` : "";
+    const gust = s.windGust ? ` (gusts ${s.windGust} ${u.speed})` : "";
+    return `🕒 ${s.localTime} | 🌡 ${s.temp}${u.temperature} | ☁️ ${s.condition.description} | ☔ ${Math.round((s.pop ?? 0) * 100)}%${precip} | 💨 ${s.windSpeed} ${u.speed}${gust}`;
+  });
+
+  return `⏱ Next ${hourly.hours}h for **${formatLocationLabel(hourly.location)}** (local time, ${hourly.intervalHours}-hour steps):\n${lines.join("\n")}${formatAge(hourly)}`;
+}
+
+/**
+ * Note for the model when a place name matched more than one location;
+ * `tool` is the tool to call again with lat/lon
+ */
+export function formatCandidates(query, { location, candidates }, tool = "get_weather") {
+  const others = candidates
+    .filter((c) => c !== location)
+    .map((c) => `- ${formatLocationLabel(c)} (lat ${c.lat}, lon ${c.lon})`)
+    .join("\n");
+
+  if (!location) {
+    return `📍 No place matching "${query}" was found. Places with that name:\n${others}\nAsk the user which one they meant, or call ${tool} again with lat/lon.`;
+  }
+
+  return `📍 "${query}" matches several places. Showing ${formatLocationLabel(location)}. Other matches:\n${others}\nMention the ambiguity, or call ${tool} again with lat/lon for another match.`;
+}
+
+/**
+ * Air quality summary (see lib/air-quality.js summarizeAirQuality)
+ */
+export function formatAirQuality(summary) {
+  const p = summary.pollutants;
+  const value = (v) => (v == null ? "n/a" : `${v} µg/m³`);
+  const uv = summary.uv
+    ? `☀️ UV index: ${summary.uv.value} (${summary.uv.category}) - ${summary.uv.advice}`
+    : "☀️ UV index: not available from this provider";
+
+  return `Air quality in ${formatLocationLabel(summary.location)}:
+🏭 AQI (${summary.aqi.scale}): ${summary.aqi.value ?? "n/a"} - ${summary.aqi.category}${summary.aqi.dominantPollutant ? `, driven by ${POLLUTANT_LABELS[summary.aqi.dominantPollutant]}` : ""}
+🫁 PM2.5: ${value(p.pm2_5)} | PM10: ${value(p.pm10)} | O3: ${value(p.o3)} | NO2: ${value(p.no2)}
+🩺 ${summary.aqi.advice || "No health guidance available."}
+${uv}${formatAge(summary)}`;
+}
+
+/**
+ * Active alerts (see lib/alerts.js getActiveAlerts), most severe first
+ */
+export function formatAlerts({ location, alerts, source }) {
+  const place = formatLocationLabel(location);
+  if (alerts.length === 0) {
+    return source === "derived"
+      ? `✅ No severe weather expected in ${place} (this provider has no official alert feed; checked the forecast instead).`
+      : `✅ No active weather alerts for ${place}.`;
+  }
+
+  const header = source === "derived"
+    ? `⚠️ Forecast-based warnings for ${place} (not official alerts):`
+    : `⚠️ Active weather alerts for ${place}:`;
+
+  const list = alerts
+    .map((a) => `- [${a.severity.toUpperCase()}] ${a.event} (${a.start} → ${a.end})${a.sender ? ` - ${a.sender}` : ""}\n  ${a.description}`)
+    .join("\n");
+
+  return `${header}\n${list}`;
+}
+
+/**
+ * Comparison (see lib/compare.js compareWeather) as a markdown table
+ */
+export function formatComparison({ rows, highlights, units }) {
+  const u = units || describeUnits();
+  const lines = [
+    `| Place | Dates | Low ${u.temperature} | High ${u.temperature} | Rain ${u.precipitation} | Rain chance | Rainy days | Max wind ${u.speed} | Mostly |`,
+    "|---|---|---|---|---|---|---|---|---|",
+  ];
+  const notes = [];
+
+  for (const row of rows) {
+    if (row.error) {
+      lines.push(`| ${row.query} | - | - | - | - | - | - | - | ❌ ${row.error} |`);
+      continue;
+    }
+    const s = row.summary;
+    if (!s) {
+      lines.push(`| ${row.location.label} | ${row.from} → ${row.to} | - | - | - | - | - | - | outside forecast range |`);
+      continue;
+    }
+    lines.push(`| ${row.location.label} | ${row.from} → ${row.to} | ${s.tempMin} | ${s.tempMax} | ${s.rain} | ${Math.round(s.pop * 100)}% | ${s.rainyDays}/${row.days.length} | ${s.windMax} | ${s.condition} |`);
+    if (row.missing.length) notes.push(`${row.location.label}: no forecast for ${row.missing.join(", ")}`);
+    if (row.ambiguous) notes.push(`"${row.query}" is ambiguous, used ${row.location.label} (call compare_weather again with lat/lon for another match)`);
+  }
+
+  const summary = Object.entries(highlights).map(([k, v]) => `${k}: ${v}`).join(" | ");
+
+  return [
+    "📊 Weather comparison (local dates):",
+    lines.join("\n"),
+    summary && `🏁 ${summary}`,
+    notes.length ? `ℹ️ ${notes.join("; ")}` : null,
+  ].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Lifestyle recommendations (see lib/recommendations.js) as a short checklist
+ */
+export function formatRecommendations(rec) {
+  const u = rec.units || describeUnits();
+  const { wear, umbrella, exercise, laundry, commute } = rec;
+
+  const umbrellaLine = umbrella.needed
+    ? `Yes - rain likely ${umbrella.from} → ${umbrella.to} (up to ${Math.round(umbrella.chance * 100)}%, ${umbrella.rain} ${u.precipitation})`
+    : `No (rain chance up to ${Math.round(umbrella.chance * 100)}%)`;
+  const exerciseLine = exercise.window
+    ? `${exercise.window.from} → ${exercise.window.to} (score ${exercise.score}/100)${exercise.issues.length ? ` - ${exercise.issues.join(", ")}` : ""}`
+    : `No good window (best score ${exercise.score}/100: ${exercise.issues.join(", ") || "conditions unsuitable"})`;
+  const laundryLine = laundry.window
+    ? `${laundry.verdict} - ${laundry.dryingHours} h dry ${laundry.window.from} → ${laundry.window.to}`
+    : laundry.verdict;
+  const factorValue = (f) => {
+    if (f.rain != null) return ` (${f.rain} ${u.precipitation}/h)`;
+    if (f.windGust != null) return ` (${f.windGust} ${u.speed})`;
+    if (f.visibility != null) return ` (${f.visibility} ${u.distance})`;
+    if (f.feelsLike != null) return ` (feels like ${f.feelsLike}${u.temperature})`;
+    return "";
+  };
+  const commuteLine = commute.factors.length
+    ? `${commute.risk} - ${commute.factors.map((f) => `${f.reason}${factorValue(f)}`).join(", ")}`
+    : commute.risk;
+  const activities = rec.activities
+    .map((a) => `- ${a.name}: ${a.score}/100 ${a.rating}${a.bestTime ? ` (best ${a.bestTime})` : ""}${a.issues.length ? ` - ${a.issues.join(", ")}` : ""}`)
+    .join("\n");
+
+  return `Recommendations for ${formatLocationLabel(rec.location)}, next ${rec.hours} h (local times):
+👕 Wear: ${wear.clothes} (feels like ${wear.feelsLike.tempMin}-${wear.feelsLike.tempMax}${u.temperature})${wear.extras.length ? `; also ${wear.extras.join(", ")}` : ""}
+☂️ Umbrella: ${umbrellaLine}
+🏃 Outdoor exercise: ${exerciseLine}
+👚 Laundry drying: ${laundryLine}${laundry.reasons.length ? ` (${laundry.reasons.join(", ")})` : ""}
+🚗 Commute risk: ${commuteLine}
+🎯 Activities:
+${activities}${formatAge(rec)}`;
+}
+
+/**
+ * Trip plan (see lib/trip-planner.js planTrip) as one block per leg
+ */
+export function formatTripPlan({ legs, risk, unknownLegs, units }) {
+  const u = units || describeUnits();
+  const flagValue = (f) => {
+    if (f.rain != null) return ` ${f.rain} ${u.precipitation}`;
+    if (f.snow != null) return ` ${f.snow} ${u.precipitation}`;
+    if (f.tempMax != null) return ` ${f.tempMax}${u.temperature}`;
+    if (f.tempMin != null) return ` ${f.tempMin}${u.temperature}`;
+    if (f.windMax != null) return ` ${f.windMax} ${u.speed}`;
+    return "";
+  };
+
+  const blocks = legs.map((leg) => {
+    const dates = leg.from === leg.to ? leg.from : `${leg.from} → ${leg.to}`;
+    if (leg.status === "error") return `${leg.leg}. ${leg.query} (${dates}): ❌ ${leg.error}`;
+
+    const head = `${leg.leg}. ${leg.location.label} (${dates})`;
+    if (leg.status === "unknown") {
+      return leg.unknownReason === "past"
+        ? `${head}: ❔ UNKNOWN - these dates are in the past (get_historical_weather has observed weather)`
+        : `${head}: ❔ UNKNOWN - beyond the forecast range (about 5 days ahead); don't guess, suggest checking closer to the date`;
+    }
+
+    const s = leg.summary;
+    const lines = [
+      `${head}: risk ${leg.risk.toUpperCase()}`,
+      `   ${s.tempMin}-${s.tempMax}${u.temperature}, mostly ${s.condition}, rain ${s.rain} ${u.precipitation} (chance up to ${Math.round(s.pop * 100)}%), wind up to ${s.windMax} ${u.speed}`,
+      ...leg.flags.map((f) => `   ⚠️ ${f.date}: ${f.reason}${flagValue(f)} [${f.level}]`),
+    ];
+    if (leg.status === "partial") lines.push(`   ❔ No forecast yet for ${leg.missing.join(", ")}`);
+    if (leg.ambiguous) lines.push(`   ℹ️ "${leg.query}" is ambiguous, used ${leg.location.label}`);
+    return lines.join("\n");
+  });
+
+  const overall = risk ? `Overall risk: ${risk.toUpperCase()}` : "No leg is within the forecast range yet";
+  const unknown = unknownLegs ? ` (${unknownLegs} leg${unknownLegs === 1 ? "" : "s"} unknown)` : "";
+  return `🧳 Trip weather plan (local dates):\n\n${blocks.join("\n\n")}\n\n${overall}${unknown}`;
+}
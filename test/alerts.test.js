@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveAlerts, getActiveAlerts, normalizeAlert, normalizeSeverity } from "../lib/alerts.js";
+
+const location = { name: "Pune", lat: 18.5, lon: 73.9, timezoneOffset: 19800 };
+const condition = (main) => ({ main, description: main.toLowerCase(), icon: "01d" });
+const slot = (time, values = {}) => ({ time, temp: 30, windSpeed: 3, rain: 0, condition: condition("Clear"), ...values });
+const forecast = (slots) => ({ location, intervalHours: 3, slots });
+
+test("normalizeSeverity reads vendor levels and alert titles", () => {
+  assert.equal(normalizeSeverity("Severe"), "severe");
+  assert.equal(normalizeSeverity(null, "Red warning for heavy rain"), "extreme");
+  assert.equal(normalizeSeverity(undefined, "Orange alert"), "severe");
+  assert.equal(normalizeSeverity("unknown", "Heat watch"), "moderate");
+  assert.equal(normalizeSeverity("", "Air quality statement"), "minor");
+  assert.equal(normalizeSeverity("", "Something happened"), "moderate");
+});
+
+test("normalizeAlert fills in an id and defaults", () => {
+  const alert = normalizeAlert({ event: "Flood Watch", start: "2026-07-01T00:00:00Z" });
+  assert.equal(alert.id, "flood-watch:2026-07-01t00:00:00z");
+  assert.equal(alert.severity, "moderate");
+  assert.equal(alert.description, "");
+  assert.equal(alert.source, "official");
+});
+
+test("deriveAlerts adds up rain per local day", () => {
+  // 20:00 UTC is already the next day in Pune (UTC+5:30)
+  const alerts = deriveAlerts(forecast([
+    slot("2026-07-01T06:00:00Z", { rain: 40 }),
+    slot("2026-07-01T09:00:00Z", { rain: 30 }),
+    slot("2026-07-01T20:00:00Z", { rain: 60 }),
+  ]));
+
+  assert.deepEqual(alerts.map((a) => [a.id, a.severity]), [["derived-rain-2026-07-01", "moderate"]]);
+  assert.equal(alerts[0].source, "derived");
+  assert.equal(alerts[0].start, "2026-07-01T06:00:00Z");
+  assert.equal(alerts[0].end, "2026-07-01T12:00:00.000Z");
+  assert.match(alerts[0].description, /70 mm forecast/);
+});
+
+test("deriveAlerts picks the highest level a day reaches", () => {
+  const alerts = deriveAlerts(forecast([
+    slot("2026-05-10T06:00:00Z", { temp: 46 }),
+    slot("2026-05-10T09:00:00Z", { windGust: 25, condition: condition("Thunderstorm") }),
+  ]));
+
+  assert.deepEqual(alerts.map((a) => [a.event, a.severity]), [
+    ["Heatwave", "severe"],
+    ["Strong winds", "severe"],
+    ["Thunderstorm", "moderate"],
+  ]);
+});
+
+test("deriveAlerts gives values in the requested units", () => {
+  const [alert] = deriveAlerts(forecast([slot("2026-05-10T06:00:00Z", { temp: 45 })]), "imperial");
+  assert.match(alert.description, /113 °F forecast/);
+});
+
+test("deriveAlerts stays quiet on ordinary days", () => {
+  assert.deepEqual(deriveAlerts(forecast([slot("2026-05-10T06:00:00Z"), slot("2026-05-10T09:00:00Z")])), []);
+});
+
+test("getActiveAlerts falls back to derived alerts when the vendor has no feed", async () => {
+  const provider = {
+    getAlerts: async () => null,
+    getForecast: async () => forecast([slot("2026-07-01T06:00:00Z", { rain: 120 })]),
+  };
+
+  const result = await getActiveAlerts(provider, location, { now: Date.parse("2026-07-01T00:00:00Z") });
+  assert.equal(result.source, "derived");
+  assert.equal(result.alerts[0].severity, "severe");
+  assert.equal(result.units.system, "metric");
+});
+
+test("getActiveAlerts drops expired alerts and puts the most severe first", async () => {
+  const provider = {
+    getAlerts: async () => [
+      normalizeAlert({ id: "old", event: "Red warning", end: "2026-07-01T00:00:00Z" }),
+      normalizeAlert({ id: "watch", event: "Flood watch", end: "2026-07-03T00:00:00Z" }),
+      normalizeAlert({ id: "warning", event: "Cyclone warning" }),
+    ],
+    getForecast: async () => assert.fail("official feed should be used"),
+  };
+
+  const result = await getActiveAlerts(provider, location, { now: Date.parse("2026-07-02T00:00:00Z") });
+  assert.equal(result.source, "official");
+  assert.deepEqual(result.alerts.map((a) => a.id), ["warning", "watch"]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { activePath, branchView, historyFromPath, latestLeaf, linkMessages, siblingsOf } from "../lib/branches.js";
+
+// u1 -> b1 -> u2 -> b2
+//            \-> u2e -> b2e -> u3 -> b3
+//                   \-> b2r (regenerated)
+const messages = [
+  { id: "u1", type: "user", text: "Weather in Pune?", parentId: null },
+  { id: "b1", type: "bot", text: "Sunny.", parentId: "u1" },
+  { id: "u2", type: "user", text: "Tomorrow?", parentId: "b1" },
+  { id: "b2", type: "bot", text: "Rain.", parentId: "u2" },
+  { id: "u2e", type: "user", text: "And Mumbai?", parentId: "b1" },
+  { id: "b2e", type: "bot", text: "Humid.", parentId: "u2e" },
+  { id: "u3", type: "user", text: "Tonight?", parentId: "b2e" },
+  { id: "b3", type: "bot", text: "Clear.", parentId: "u3" },
+  { id: "b2r", type: "bot", text: "Very humid.", parentId: "u2e" },
+];
+
+const ids = (list) => list.map((m) => m.id);
+
+test("linkMessages chains messages saved before branching", () => {
+  const linked = linkMessages([
+    { id: "a", type: "user", text: "1" },
+    { id: "b", type: "bot", text: "2" },
+    { id: "c", type: "user", text: "3", parentId: "b" },
+  ]);
+  assert.deepEqual(linked.map((m) => m.parentId), [null, "a", "b"]);
+});
+
+test("activePath walks from the leaf back to the root", () => {
+  assert.deepEqual(ids(activePath(messages, "b3")), ["u1", "b1", "u2e", "b2e", "u3", "b3"]);
+  assert.deepEqual(ids(activePath(messages, "b2")), ["u1", "b1", "u2", "b2"]);
+});
+
+test("activePath falls back to the newest message for an unknown leaf", () => {
+  assert.deepEqual(ids(activePath(messages, "missing")), ["u1", "b1", "u2e", "b2r"]);
+  assert.deepEqual(ids(activePath(messages, undefined)), ["u1", "b1", "u2e", "b2r"]);
+});
+
+test("latestLeaf follows the newest child at each level", () => {
+  assert.equal(latestLeaf(messages, "u2e"), "b2r");
+  assert.equal(latestLeaf(messages, "b2e"), "b3");
+  assert.equal(latestLeaf(messages, "b1"), "b2r");
+  assert.equal(latestLeaf(messages, "b3"), "b3");
+});
+
+test("siblingsOf lists same-type alternatives under one parent", () => {
+  const byId = Object.fromEntries(messages.map((m) => [m.id, m]));
+  assert.deepEqual(ids(siblingsOf(messages, byId.u2e)), ["u2", "u2e"]);
+  assert.deepEqual(ids(siblingsOf(messages, byId.b2r)), ["b2e", "b2r"]);
+  assert.deepEqual(ids(siblingsOf(messages, byId.u1)), ["u1"]);
+});
+
+test("branchView gives each message its position among its siblings", () => {
+  const view = branchView(messages, "b3");
+  assert.deepEqual(
+    view.map((m) => [m.id, m.siblingIds.length, m.siblingIndex]),
+    [["u1", 1, 0], ["b1", 1, 0], ["u2e", 2, 1], ["b2e", 2, 0], ["u3", 1, 0], ["b3", 1, 0]]
+  );
+});
+
+test("historyFromPath turns a branch into model history", () => {
+  assert.deepEqual(historyFromPath(activePath(messages, "b2")), [
+    { type: "human", text: "Weather in Pune?" },
+    { type: "ai", text: "Sunny." },
+    { type: "human", text: "Tomorrow?" },
+    { type: "ai", text: "Rain." },
+  ]);
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildContext, estimateTokens, foldHistory, windowStart } from "../lib/context.js";
+
+// Each entry costs estimateTokens("x".repeat(36)) = 9 + 4 = 13 tokens
+const TEXT = "x".repeat(36);
+const turns = (n) =>
+  Array.from({ length: n }, (_, i) => [
+    { type: "human", text: TEXT, turn: i },
+    { type: "ai", text: TEXT, turn: i },
+  ]).flat();
+
+test("estimateTokens counts ~4 characters per token plus framing", () => {
+  assert.equal(estimateTokens(""), 4);
+  assert.equal(estimateTokens(TEXT), 13);
+});
+
+test("windowStart keeps whole turns that fit the budget", () => {
+  const history = turns(5);
+  assert.equal(windowStart(history, 1000), 0);
+  assert.equal(windowStart(history, 52), 6); // the last two turns
+  assert.equal(windowStart(history, 51), 8); // the last turn; half a turn is never kept
+  assert.equal(windowStart(history, 10), history.length);
+  assert.equal(windowStart([], 100), 0);
+});
+
+test("windowStart never starts on an ai entry", () => {
+  const history = [{ type: "ai", text: TEXT }, ...turns(1)];
+  assert.equal(windowStart(history, 1000), 1);
+});
+
+test("buildContext sends the system prompt, the recent window and the user message", () => {
+  const history = turns(5);
+  const { messages, start, dropped, tokens } = buildContext({
+    systemPrompt: "You are a weather assistant.",
+    history,
+    userMessage: "And tomorrow?",
+    budget: 52,
+  });
+
+  assert.equal(start, 6);
+  assert.equal(dropped, 6);
+  assert.deepEqual(messages.map((m) => m.type), ["system", "human", "ai", "human", "ai", "human"]);
+  assert.equal(messages.at(-1).content, "And tomorrow?");
+  assert.equal(tokens, estimateTokens("You are a weather assistant.") + estimateTokens("And tomorrow?") + 4 * 13);
+});
+
+test("buildContext never replays turns already in the summary", () => {
+  const history = turns(3);
+  const { messages, start, dropped } = buildContext({
+    systemPrompt: "System",
+    summary: { text: "User is planning a trip to Pune.", turns: 4 },
+    history,
+    userMessage: "Hi",
+    budget: 1000,
+  });
+
+  assert.equal(start, 4);
+  assert.equal(dropped, 0);
+  assert.equal(messages.length, 4);
+  assert.match(messages[0].content, /Summary of the earlier conversation:\nUser is planning a trip to Pune\./);
+});
+
+test("buildContext adds the conversation context to the system prompt", () => {
+  const { messages } = buildContext({
+    systemPrompt: "System",
+    context: {
+      location: { name: "Pune", state: "Maharashtra", country: "IN", lat: 18.5, lon: 73.9 },
+      dataType: "forecast",
+      date: null,
+      units: "metric",
+      updatedAt: new Date(),
+    },
+    userMessage: "Hi",
+  });
+
+  assert.match(messages[0].content, /Conversation context: \{.*"Pune/);
+  assert.doesNotMatch(messages[0].content, /updatedAt/);
+});
+
+test("foldHistory waits until the unsummarized history exceeds the budget", async () => {
+  const llm = { invoke: async () => assert.fail("should not summarize") };
+  assert.equal(await foldHistory({ llm, history: turns(2), budget: 52 }), null);
+});
+
+test("foldHistory summarizes down to half the budget", async () => {
+  const calls = [];
+  const usage = [];
+  const llm = {
+    invoke: async (messages) => {
+      calls.push(messages);
+      return { content: " User asked about Pune. ", usage_metadata: { input_tokens: 10, output_tokens: 5 } };
+    },
+  };
+
+  const summary = await foldHistory({ llm, history: turns(5), budget: 104, onUsage: (u) => usage.push(u) });
+
+  // budget / 2 = 52 keeps the last two turns, so the first three are folded
+  assert.equal(summary.turns, 6);
+  assert.equal(summary.text, "User asked about Pune.");
+  assert.ok(summary.updatedAt instanceof Date);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][1].content.split("\n").filter((l) => l.startsWith("User:")).length, 3);
+  assert.deepEqual(usage, [{ input_tokens: 10, output_tokens: 5 }]);
+});
+
+test("foldHistory keeps the summary when the model returns nothing", async () => {
+  const llm = { invoke: async () => ({ content: [{ text: "  " }] }) };
+  assert.equal(await foldHistory({ llm, history: turns(5), budget: 104 }), null);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  contextView,
+  conversationContext,
+  hasPlace,
+  nextContext,
+  queryLabel,
+  resolveWithContext,
+} from "../lib/conversation-context.js";
+
+const pune = { name: "Pune", state: "Maharashtra", country: "IN", lat: 18.52, lon: 73.86 };
+const mumbai = { name: "Mumbai", state: "Maharashtra", country: "IN", lat: 19.08, lon: 72.88 };
+const empty = conversationContext(null);
+
+test("conversationContext reads the saved place, data type and dates", () => {
+  const context = conversationContext({
+    lastLocation: { ...pune, _id: "ignored" },
+    context: { dataType: "history", date: { from: "2026-01-01", to: "2026-01-03" }, updatedAt: null },
+    units: "imperial",
+  });
+
+  assert.deepEqual(context.location, pune);
+  assert.equal(context.dataType, "history");
+  assert.deepEqual(context.date, { from: "2026-01-01", to: "2026-01-03" });
+  assert.equal(context.units, "imperial");
+});
+
+test("conversationContext defaults for a new conversation", () => {
+  assert.deepEqual(conversationContext({}, "metric"), {
+    location: null,
+    dataType: null,
+    date: null,
+    units: "metric",
+    updatedAt: null,
+  });
+});
+
+test("hasPlace needs a city, postal code or both coordinates", () => {
+  assert.equal(hasPlace({ city: "Pune" }), true);
+  assert.equal(hasPlace({ postalCode: "411001" }), true);
+  assert.equal(hasPlace({ lat: 0, lon: 0 }), true);
+  assert.equal(hasPlace({ lat: 18.5 }), false);
+  assert.equal(hasPlace({ type: "forecast" }), false);
+});
+
+test("follow-ups without a place resolve to the context place", async () => {
+  const provider = { geocode: async () => assert.fail("should not geocode") };
+  const context = { ...empty, location: pune };
+
+  const resolution = await resolveWithContext(provider, { type: "forecast" }, context);
+  assert.equal(resolution.location, pune);
+  assert.equal(resolution.ambiguous, false);
+  assert.equal(queryLabel({}, context), "Pune, Maharashtra, IN");
+  assert.equal(queryLabel({ city: "Mumbai" }, context), "Mumbai");
+});
+
+test("nextContext records the tool's data type and place", () => {
+  const next = nextContext(empty, { name: "get_weather", args: { type: "hourly" }, artifact: { location: { ...pune, timezoneOffset: 19800 } } });
+  assert.equal(next.dataType, "hourly");
+  assert.deepEqual(next.location, pune);
+  assert.ok(next.updatedAt instanceof Date);
+});
+
+test("nextContext keeps the location object while the place is unchanged", () => {
+  const context = { ...empty, location: pune };
+  assert.equal(nextContext(context, { name: "get_air_quality", artifact: { location: { ...pune } } }).location, pune);
+  assert.deepEqual(nextContext(context, { name: "get_air_quality", artifact: { location: mumbai } }).location, mumbai);
+  assert.equal(nextContext(context, { name: "compare_weather", args: {}, artifact: {} }).location, pune);
+});
+
+test("nextContext keeps dates only for lookups that take them", () => {
+  const dated = { ...empty, date: { from: "2026-01-01", to: "2026-01-02" } };
+
+  assert.equal(nextContext(dated, { name: "get_weather", args: {} }).date, null);
+  assert.deepEqual(
+    nextContext(empty, { name: "get_historical_weather", artifact: { from: "2026-01-05" } }).date,
+    { from: "2026-01-05", to: "2026-01-05" }
+  );
+  assert.deepEqual(
+    nextContext(empty, { name: "compare_weather", args: { startDate: "2026-02-01", endDate: "2026-02-03" } }).date,
+    { from: "2026-02-01", to: "2026-02-03" }
+  );
+});
+
+test("nextContext spans a trip from its first to its last leg", () => {
+  const next = nextContext(empty, {
+    name: "plan_trip",
+    args: {
+      legs: [
+        { city: "Goa", startDate: "2026-03-05", endDate: "2026-03-07" },
+        { city: "Pune", startDate: "2026-03-03" },
+      ],
+    },
+  });
+  assert.equal(next.dataType, "trip");
+  assert.deepEqual(next.date, { from: "2026-03-03", to: "2026-03-07" });
+});
+
+test("nextContext ignores tools it doesn't know", () => {
+  assert.equal(nextContext(empty, { name: "something_else" }), empty);
+});
+
+test("contextView labels the place", () => {
+  const view = contextView({ ...empty, location: pune });
+  assert.equal(view.location.label, "Pune, Maharashtra, IN");
+  assert.equal(contextView(empty).location, null);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertUnits, describeUnits, parseUnits } from "../lib/units.js";
+
+test("parseUnits maps user input to a unit system", () => {
+  assert.equal(parseUnits("F"), "imperial");
+  assert.equal(parseUnits(" Celsius "), "metric");
+  assert.equal(parseUnits("kelvin"), "standard");
+  assert.equal(parseUnits("imperial"), "imperial");
+  assert.equal(parseUnits("furlongs"), null);
+  assert.equal(parseUnits(""), null);
+});
+
+test("describeUnits falls back to metric labels", () => {
+  assert.deepEqual(describeUnits("nope"), describeUnits("metric"));
+  assert.equal(describeUnits("imperial").temperature, "°F");
+});
+
+test("convertUnits converts every known field from metric", () => {
+  const current = { temp: 20, feelsLike: -40, windSpeed: 10, pressure: 1013, visibility: 10000, rain: 25.4, humidity: 80 };
+
+  assert.deepEqual(convertUnits(current, "imperial"), {
+    temp: 68,
+    feelsLike: -40,
+    windSpeed: 22.4,
+    pressure: 29.91,
+    visibility: 6.2,
+    rain: 1,
+    humidity: 80,
+    units: describeUnits("imperial"),
+  });
+  assert.equal(convertUnits(current, "standard").temp, 293.2);
+  assert.equal(convertUnits(current, "metric").visibility, 10);
+});
+
+test("convertUnits walks nested days, rows and value objects", () => {
+  const payload = {
+    rows: [{ days: [{ tempMin: 0, tempMax: 100, windMax: 1 }], summary: { rain: 50.8 } }],
+    wear: { feelsLike: { tempMin: 10, tempMax: 30 } },
+  };
+
+  const out = convertUnits(payload, "imperial");
+  assert.deepEqual(out.rows[0].days[0], { tempMin: 32, tempMax: 212, windMax: 2.2 });
+  assert.equal(out.rows[0].summary.rain, 2);
+  assert.deepEqual(out.wear.feelsLike, { tempMin: 50, tempMax: 86 });
+});
+
+test("convertUnits leaves non-numeric values, places and Dates alone", () => {
+  const observedAt = new Date("2026-01-01T00:00:00Z");
+  const location = { name: "Pune", lat: 18.5, lon: 73.9, pressure: 1000 };
+  const out = convertUnits({ temp: null, rain: "n/a", observedAt, location }, "imperial");
+
+  assert.equal(out.temp, null);
+  assert.equal(out.rain, "n/a");
+  assert.equal(out.observedAt, observedAt);
+  assert.equal(out.location, location);
+});
+
+test("convertUnits does not change its input", () => {
+  const slot = { temp: 10 };
+  convertUnits({ slots: [slot] }, "imperial");
+  assert.deepEqual(slot, { temp: 10 });
+});
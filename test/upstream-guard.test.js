@@ -0,0 +1,145 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { UpstreamGuard } from "../lib/upstream-guard.js";
+import { WeatherProviderError } from "../lib/providers/base.js";
+
+const down = () => new WeatherProviderError("down", { code: "upstream_down", status: 503 });
+
+let now;
+beforeEach((t) => {
+  now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  t.mock.method(console, "warn", () => {});
+});
+
+const guard = (options = {}) =>
+  new UpstreamGuard({ name: "test", redisClient: null, failureThreshold: 3, cooldownMs: 10_000, ...options });
+
+test("the circuit stays closed below the failure threshold", async () => {
+  const g = guard();
+  g.failure(down());
+  g.failure(down());
+  assert.equal(g.circuit, "closed");
+  await g.acquire();
+});
+
+test("only upstream_down failures count towards opening", () => {
+  const g = guard();
+  for (let i = 0; i < 5; i++) {
+    g.failure(new WeatherProviderError("nope", { code: "not_found", status: 404 }));
+  }
+  assert.equal(g.circuit, "closed");
+  assert.equal(g.failures, 0);
+});
+
+test("a success resets the failure count", () => {
+  const g = guard();
+  g.failure(down());
+  g.failure(down());
+  g.success();
+  g.failure(down());
+  assert.equal(g.circuit, "closed");
+});
+
+test("the circuit opens at the threshold and rejects until the cooldown ends", async () => {
+  const g = guard();
+  for (let i = 0; i < 3; i++) g.failure(down());
+  assert.equal(g.circuit, "open");
+
+  now += 4_000;
+  await assert.rejects(g.acquire(), (err) => {
+    assert.equal(err.code, "upstream_down");
+    assert.equal(err.retryAfter, 6);
+    return true;
+  });
+});
+
+test("after the cooldown one trial request goes through", async () => {
+  const g = guard();
+  for (let i = 0; i < 3; i++) g.failure(down());
+  now += 10_000;
+  assert.equal(g.circuit, "half_open");
+
+  await g.acquire();
+  await assert.rejects(g.acquire(), { code: "upstream_down" });
+
+  g.success();
+  assert.equal(g.circuit, "closed");
+  await g.acquire();
+});
+
+test("a failed trial opens the circuit for another cooldown", async () => {
+  const g = guard();
+  for (let i = 0; i < 3; i++) g.failure(down());
+  now += 10_000;
+
+  await g.acquire();
+  g.failure(down());
+  assert.equal(g.circuit, "open");
+  now += 9_999;
+  assert.equal(g.circuit, "open");
+  now += 1;
+  assert.equal(g.circuit, "half_open");
+});
+
+// Enough of a node-redis client for the quota counters
+function fakeRedis() {
+  const counts = new Map();
+  return {
+    isOpen: true,
+    counts,
+    multi() {
+      const ops = [];
+      const chain = {
+        incr: (key) => (ops.push(() => counts.set(key, (counts.get(key) || 0) + 1).get(key)), chain),
+        expire: () => (ops.push(() => 1), chain),
+        exec: async () => ops.map((op) => op()),
+      };
+      return chain;
+    },
+    mGet: async (keys) => keys.map((k) => (counts.has(k) ? String(counts.get(k)) : null)),
+  };
+}
+
+test("acquire fails with quota_exceeded once the minute budget is spent", async () => {
+  const g = guard({ redisClient: fakeRedis(), perMinute: 2 });
+  await g.acquire();
+  await g.acquire();
+  await assert.rejects(g.acquire(), (err) => {
+    assert.equal(err.code, "quota_exceeded");
+    assert.equal(err.status, 429);
+    assert.ok(err.retryAfter > 0 && err.retryAfter <= 60);
+    return true;
+  });
+  assert.equal(g.circuit, "closed");
+});
+
+test("a spent budget during the trial frees the trial slot", async () => {
+  const g = guard({ redisClient: fakeRedis(), perDay: 1 });
+  await g.acquire();
+  for (let i = 0; i < 3; i++) g.failure(down());
+  now += 10_000;
+
+  await assert.rejects(g.acquire(), { code: "quota_exceeded" });
+  assert.equal(g.trialInFlight, false);
+});
+
+test("without a Redis connection lookups are not limited", async () => {
+  const g = guard({ perMinute: 1 });
+  await g.acquire();
+  await g.acquire();
+});
+
+test("status reports the circuit, usage and limits", async () => {
+  const redis = fakeRedis();
+  const g = guard({ redisClient: redis, perMinute: 10 });
+  await g.acquire();
+  g.failure(down());
+
+  assert.deepEqual(await g.status(), {
+    circuit: "closed",
+    failures: 1,
+    usage: { minute: 1, day: 1 },
+    limits: { perMinute: 10, perDay: null },
+  });
+});